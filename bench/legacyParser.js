@@ -0,0 +1,157 @@
+/**
+ * LegacyParadoxParser
+ *
+ * ParadoxParser with the lexer it had before the single-pass one: a comment-stripped copy of the
+ * text is tokenized into an array up front. Only used by bench/parser.js to compare output and speed.
+ */
+const ParadoxParser = require('../lib/definitionParser.js');
+
+class LegacyParadoxParser extends ParadoxParser {
+    _lex(src) {
+        this.tokens = this._tokenize(this._stripComments(src));
+        this.idx    = 0;
+    }
+
+    _peek() {
+        return this.tokens[this.idx];
+    }
+
+    _next() {
+        return this.tokens[this.idx++];
+    }
+
+    _stripComments(src) {
+        // remove '#' comments but preserve # inside quoted strings
+        let out     = '';
+        let inQuote = false;
+        for (let i = 0; i < src.length; i++) {
+            const ch = src[i];
+            if (ch === '"') {
+                // check escape count
+                let j = i - 1, bs = 0;
+                while (j >= 0 && src[j] === '\\') {
+                    bs++;
+                    j--;
+                }
+                if (bs % 2 === 0) inQuote = !inQuote;
+                out += ch;
+                continue;
+            }
+            if (!inQuote && ch === '#') {
+                // skip until newline (inclusive of newline)
+                while (i < src.length && src[i] !== '\n') i++;
+                if (i < src.length) out += '\n';
+                continue;
+            }
+            out += ch;
+        }
+        return out;
+    }
+
+    _tokenize(src) {
+        const tokens       = [];
+        const isWhitespace = c => /\s/.test(c);
+        const specials     = new Set(['{', '}', '=', '>', '<', '!', '"']);
+        const lineStarts   = this._lineStarts(src);
+        const token        = (type, value, start) => Object.assign({type, value}, this._location(lineStarts, start));
+        let i              = 0, L = src.length;
+        while (i < L) {
+            const ch = src[i];
+            if (isWhitespace(ch)) {
+                i++;
+                continue;
+            }
+            if (ch === '{') {
+                tokens.push(token('{', '{', i));
+                i++;
+                continue;
+            }
+            if (ch === '}') {
+                tokens.push(token('}', '}', i));
+                i++;
+                continue;
+            }
+            if (ch === '=') {
+                tokens.push(token('=', '=', i));
+                i++;
+                continue;
+            }
+            if (ch === '"') {
+                // read quoted string, support escaping \" and \\;
+                let j = i + 1, str = '', closed = false;
+                while (j < L) {
+                    if (src[j] === '"') {
+                        // count backslashes before quote
+                        let k = j - 1, bs = 0;
+                        while (k >= 0 && src[k] === '\\') {
+                            bs++;
+                            k--;
+                        }
+                        if (bs % 2 === 0) {
+                            j++;
+                            closed = true;
+                            break;
+                        }
+                    }
+                    str += src[j++];
+                }
+                const tk = token('string', str, i);
+                if (!closed) this._diagnose('error', 'Unterminated string', tk);
+                tokens.push(tk);
+                i = j;
+                continue;
+            }
+            if (ch === '@' && (src[i + 1] === '[' || (src[i + 1] === '\\' && src[i + 2] === '['))) {
+                // inline math: @[ expression ] (older files use @\[ expression ])
+                const open = src.indexOf('[', i);
+                const end  = src.indexOf(']', open);
+                const tk   = token('math', src.slice(open + 1, end === -1 ? L : end).trim(), i);
+                if (end === -1) this._diagnose('error', "Unterminated inline math '@['", tk);
+                tokens.push(tk);
+                i = end === -1 ? L : end + 1;
+                continue;
+            }
+            if (ch === '>' || ch === '<' || ch === '!') {
+                const start = i;
+                let op      = ch;
+                if (i + 1 < L && src[i + 1] === '=') {
+                    op += '=';
+                    i += 2;
+                } else {
+                    i += 1;
+                }
+                tokens.push(token('op', op, start));
+                continue;
+            }
+            // read a word/number: anything until whitespace or one of { } = > < ! "
+            let j = i;
+            while (j < L && !isWhitespace(src[j]) && !specials.has(src[j])) j++;
+            const word = src.slice(i, j);
+            if (/^-?\d+(\.\d+)?$/.test(word)) tokens.push(token('number', word, i));
+            else tokens.push(token('word', word, i));
+            i = j;
+        }
+        return tokens;
+    }
+
+    _lineStarts(src) {
+        const starts = [0];
+        for (let i = 0; i < src.length; i++) {
+            if (src[i] === '\n') starts.push(i + 1);
+        }
+        return starts;
+    }
+
+    _location(lineStarts, index) {
+        // binary search for the line containing index
+        let lo = 0, hi = lineStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (lineStarts[mid] <= index) lo = mid;
+            else hi = mid - 1;
+        }
+        return {file: this.file, line: lo + 1, column: index - lineStarts[lo] + 1};
+    }
+}
+
+module.exports = LegacyParadoxParser;
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * Parser benchmark.
+ * Parses a synthetic corpus of Paradox script with ParadoxParser and with the lexer it replaced
+ * (LegacyParadoxParser), checks that both give identical output and prints the speedup.
+ *
+ * Usage: node bench/parser.js [corpus size in MB, default 8] [--runs <n>]
+ *
+ * The corpus is split in files of about 64 KB like common/, and covers what the game files use:
+ * nested blocks, AND/OR/NOT, comments (also after values and in strings), quoted strings, numbers,
+ * comparison operators, scripted variables, inline math and CRLF line endings, and a few files with errors.
+ * Output, diagnostics, scripted variables and source locations are compared for every file.
+ *
+ * Every file is also written back with ParadoxWriter and parsed again, which must give the same data
+ * (parse(write(parse(x))) equals parse(x)).
+ */
+const ParadoxParser       = require('../lib/definitionParser.js');
+const LegacyParadoxParser = require('./legacyParser.js');
+
+// The lib files are browser scripts referencing each other as globals
+global.ParadoxParser = ParadoxParser;
+const ParadoxWriter  = require('../lib/paradoxWriter.js');
+
+const FILE_SIZE = 64 * 1024;
+
+/**
+ * Deterministic random numbers, so every run parses the same corpus
+ */
+function random(seed) {
+    let state = seed;
+    return (n) => {
+        state = (state * 1103515245 + 12345) & 0x7fffffff;
+        return state % n;
+    };
+}
+
+function generateFile(index, rnd) {
+    const pick   = (list) => list[rnd(list.length)];
+    const ethics = ['ethic_militarist', 'ethic_fanatic_pacifist', 'ethic_xenophile', 'ethic_materialist', 'ethic_gestalt_consciousness'];
+    const lines  = [
+        `# Synthetic definitions ${index}`,
+        `@cost_${index} = ${rnd(10)}`,
+        `@weight_${index} = ${rnd(100) / 10}`,
+        '',
+    ];
+
+    let n = 0;
+    while (lines.join('\n').length < FILE_SIZE) {
+        const id = `civic_synthetic_${index}_${n++}`;
+        lines.push(
+            `${id} = { # definition ${n}`,
+            `\tpotential = {`,
+            `\t\tethics = { NOT = { value = ${pick(ethics)} } }`,
+            `\t\tauthority = { value = auth_democratic }`,
+            `\t}`,
+            `\tpossible = {`,
+            `\t\tethics = {`,
+            `\t\t\tOR = {`,
+            `\t\t\t\ttext = civic_tooltip_${pick(['militarist', 'pacifist', 'xenophile'])}`,
+            `\t\t\t\tvalue = ${pick(ethics)}`,
+            `\t\t\t\tvalue = ${pick(ethics)}`,
+            `\t\t\t}`,
+            `\t\t}`,
+            `\t\tcivics = { NOR = { value = civic_${pick(['technocracy', 'fanatic_purifiers', 'inwards_perfection'])} } }`,
+            `\t}`,
+            `\tplayable = { host_has_dlc = "${pick(['Federations', 'Megacorp', 'Utopia'])}" }`,
+            `\tdescription = "civic_${n}_desc # not a comment"`,
+            `\tcost = @cost_${index}`,
+            `\tmodification = no`,
+            `\tweight = @[ weight_${index} * ${1 + rnd(4)} ]`,
+            `\tai_weight = {`,
+            `\t\tbase = ${rnd(200) - 100}`,
+            `\t\tmodifier = { factor = 0.${rnd(10)} years_passed > ${rnd(50)} num_owned_planets >= ${rnd(20)} }`,
+            `\t}`,
+            `\ttags = { ${pick(['GESTALT', 'MEGACORP', 'PURGE'])} ${pick(['ALPHA', 'BETA'])} }`,
+            `}`,
+            ''
+        );
+    }
+
+    // a few files with errors, for the diagnostics
+    if (index % 25 === 24) {
+        lines.push('broken = { a = ', '} }', `unknown = @missing_${index}`, 'tail = "unterminated # still the string');
+    }
+    return lines.join(index % 4 === 0 ? '\r\n' : '\n');
+}
+
+function generateCorpus(megabytes) {
+    const rnd   = random(42);
+    const files = [];
+    let size    = 0;
+    while (size < megabytes * 1024 * 1024) {
+        const text = generateFile(files.length, rnd);
+        files.push({path: `common/synthetic/${String(files.length).padStart(4, '0')}_synthetic.txt`, text});
+        size += text.length;
+    }
+    return {files, size};
+}
+
+function parseAll(parser, files) {
+    return files.map(({path, text}) => {
+        const data = parser.parse(text, path);
+        return {data, diagnostics: parser.diagnostics, variables: parser.variables};
+    });
+}
+
+/**
+ * Source locations of every block and key, see ParadoxParser.locationOf()
+ */
+function locations(node, out = []) {
+    if (!node || typeof node !== 'object') return out;
+    const own = ParadoxParser.locations.get(node);
+    out.push(own ? [own.location, own.keys] : null);
+    for (const value of Array.isArray(node) ? node : Object.values(node)) locations(value, out);
+    return out;
+}
+
+function compare(results, legacyResults, files) {
+    let differences = 0;
+    results.forEach((result, i) => {
+        const legacy = legacyResults[i];
+        const checks = {
+            output     : [result.data, legacy.data],
+            diagnostics: [result.diagnostics, legacy.diagnostics],
+            variables  : [result.variables, legacy.variables],
+            locations  : [locations(result.data), locations(legacy.data)],
+        };
+        for (const [name, [a, b]] of Object.entries(checks)) {
+            if (JSON.stringify(a) !== JSON.stringify(b)) {
+                differences++;
+                console.log(`Different ${name}: ${files[i].path}`);
+            }
+        }
+    });
+    return differences;
+}
+
+function roundTrip(results, files) {
+    const writer = new ParadoxWriter();
+    let differences = 0;
+    results.forEach((result, i) => {
+        const written = writer.write(result.data);
+        const reread  = new ParadoxParser().parse(written, files[i].path);
+        if (JSON.stringify(reread) !== JSON.stringify(result.data)) {
+            differences++;
+            console.log(`Different after writing: ${files[i].path}`);
+        }
+    });
+    return differences;
+}
+
+function time(parser, files, runs) {
+    let best = Infinity;
+    let results;
+    for (let run = 0; run < runs; run++) {
+        const start = process.hrtime.bigint();
+        results     = parseAll(parser, files);
+        best        = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    return {ms: best, results};
+}
+
+function main(argv) {
+    const runsAt    = argv.indexOf('--runs');
+    const runs      = runsAt === -1 ? 3 : parseInt(argv[runsAt + 1]);
+    const megabytes = parseFloat(argv.find((arg, i) => !arg.startsWith('--') && (runsAt === -1 || i !== runsAt + 1)) || '8');
+
+    const {files, size} = generateCorpus(megabytes);
+    const mb            = size / 1024 / 1024;
+    console.log(`Corpus: ${files.length} files, ${mb.toFixed(1)} MB, best of ${runs} runs`);
+
+    const legacy  = time(new LegacyParadoxParser(), files, runs);
+    const current = time(new ParadoxParser(), files, runs);
+
+    for (const [name, {ms}] of [['Legacy lexer', legacy], ['Single-pass lexer', current]]) {
+        console.log(`${name.padEnd(18)} ${ms.toFixed(0).padStart(6)} ms  ${(mb / ms * 1000).toFixed(1).padStart(6)} MB/s`);
+    }
+    console.log(`Speedup: ${(legacy.ms / current.ms).toFixed(2)}x`);
+
+    const differences = compare(current.results, legacy.results, files);
+    console.log(differences ? `${differences} differences` : 'Output identical');
+
+    const roundTripDifferences = roundTrip(current.results, files);
+    console.log(roundTripDifferences ? `${roundTripDifferences} differences after writing` : 'Round trip identical');
+
+    process.exitCode = differences || roundTripDifferences ? 1 : 0;
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * Command line version of the generator.
+ * Runs the same pipeline as index.html and writes the output files (ethics.js, civics.js, ...)
+ * and manifest.json (see GenerationManifest).
+ *
+ * Usage: node cli.js <game directory | zip> [output directory] [--mod <mod directory | zip>]... [--language <language>] [--condition-trees] [--diff <old game directory | zip>] [--dlc <name>]... [--no-dlc] [--format <format>]... [--overrides <overrides.json>] [--matrices]
+ *
+ * The input is either the Stellaris install directory (containing "common"), the "common"
+ * directory itself, or a zip of the "common" directory like the one uploaded in the browser.
+ * Mods are layered on top of the game in the order given, see GameFiles.
+ * --condition-trees adds the full requirement tree of civics and origins, see ConditionTreeBuilder.
+ * --dlc limits the output to the DLC owned (the host_has_dlc name, e.g. "Megacorp"), --no-dlc to the
+ * base game. Without either, every DLC is owned.
+ * --format picks the output format (script, esm, cjs, json, dts, dts-cjs, dts-script; default script), give it
+ * more than once for several formats, e.g. --format esm --format dts.
+ * --overrides replaces the default corrections applied after the builders with the ones in a JSON file
+ * (exported from the page, see DefinitionOverrides), and the leader trait buckets when the file has them;
+ * the overrides that didn't match anything are listed.
+ * --matrices also writes the compatibility matrices (origin x civic, civic x civic, ethic x authority,
+ * trait x trait) as compatibility_<name>.csv, .dot (forbidden pairs) and .html (heatmap), see CompatibilityMatrix.
+ * --diff also builds the definitions of an older release and writes what changed (without mods)
+ * to diff.md and diff.json, see VersionDiff.
+ */
+const fs   = require('fs');
+const path = require('path');
+
+// The lib files are browser scripts referencing each other as globals
+global.JSZip          = require('./jszip.min.js');
+global.GameFiles      = require('./lib/gameFiles.js');
+global.ParadoxParser  = require('./lib/definitionParser.js');
+global.EthicsBuilder  = require('./lib/ethicsBuilder.js');
+global.ConditionTreeBuilder = require('./lib/conditionTreeBuilder.js');
+global.CivicsBuilder  = require('./lib/civicsBuilder.js');
+global.AuthoritiesBuilder = require('./lib/authoritiesBuilder.js');
+global.OriginsBuilder = require('./lib/originsBuilder.js');
+global.TraitsBuilder  = require('./lib/traitsBuilder.js');
+global.LeaderTraitsBuilder = require('./lib/leaderTraitsBuilder.js');
+global.LocalisationParser = require('./lib/localisationParser.js');
+global.VersionDiff    = require('./lib/versionDiff.js');
+global.ToolInfo       = require('./lib/toolInfo.js');
+global.GenerationManifest = require('./lib/generationManifest.js');
+global.DefinitionOverrides = require('./lib/definitionOverrides.js');
+global.ScriptedTriggers = require('./lib/scriptedTriggers.js');
+global.CompatibilityMatrix = require('./lib/compatibilityMatrix.js');
+
+const DefinitionsPipeline = require('./lib/pipeline.js');
+
+// Top level game directories and files read from a game directory
+const GAME_DIRECTORIES = ['common', 'localisation'];
+const GAME_ROOT_FILES  = GenerationManifest.VERSION_FILES.map(file => file.name);
+
+/**
+ * Load the input into a JSZip archive with the same layout as the browser upload
+ * @param {string} input - Path to a zip file or game directory
+ * @returns {Promise<JSZip>}
+ */
+async function loadInput(input) {
+    const stat = fs.statSync(input);
+    if (stat.isFile()) {
+        return JSZip.loadAsync(fs.readFileSync(input));
+    }
+
+    // Accept both the game directory and its "common" directory
+    let root = path.resolve(input);
+    if (!fs.existsSync(path.join(root, 'common')) && path.basename(root) === 'common') {
+        root = path.dirname(root);
+    }
+
+    const zip = new JSZip();
+    for (const dir of GAME_DIRECTORIES) {
+        addDirectory(zip, root, path.join(root, dir));
+    }
+    for (const name of GAME_ROOT_FILES) {
+        if (fs.existsSync(path.join(root, name))) zip.file(name, fs.readFileSync(path.join(root, name)));
+    }
+    return zip;
+}
+
+/**
+ * Recursively add the .txt and .yml files of a directory to the archive
+ * @param {JSZip} zip
+ * @param {string} root - Directory the archive paths are relative to
+ * @param {string} dir - Directory to add
+ */
+function addDirectory(zip, root, dir) {
+    if (!fs.existsSync(dir)) return;
+
+    for (const entry of fs.readdirSync(dir, {withFileTypes: true})) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            addDirectory(zip, root, fullPath);
+        } else if (/\.(txt|yml)$/i.test(entry.name)) {
+            const zipPath = path.relative(root, fullPath).split(path.sep).join('/');
+            zip.file(zipPath, fs.readFileSync(fullPath));
+        }
+    }
+}
+
+/**
+ * Split the command line into positional arguments and options
+ * @param {string[]} args
+ * @returns {Object} { positional: [], mods: [], language, conditionTrees, diff, ownedDlcs, formats: [], overrides, leaderTraitBuckets, matrices }
+ */
+function parseArgs(args) {
+    const positional = [];
+    const mods       = [];
+    let language     = 'english';
+    let conditionTrees = false;
+    let diff           = null;
+    let ownedDlcs      = null;
+    const formats      = [];
+    let overrides      = null;
+    let leaderTraitBuckets = null;
+    let matrices       = false;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--mod') {
+            if (args[i + 1] === undefined) throw new Error('--mod needs a mod directory or zip');
+            mods.push(args[++i]);
+        } else if (args[i] === '--language') {
+            if (!DefinitionsPipeline.LANGUAGES.includes(args[i + 1])) {
+                throw new Error('--language needs one of: ' + DefinitionsPipeline.LANGUAGES.join(', '));
+            }
+            language = args[++i];
+        } else if (args[i] === '--diff') {
+            if (args[i + 1] === undefined) throw new Error('--diff needs the game directory or zip of the old release');
+            diff = args[++i];
+        } else if (args[i] === '--dlc') {
+            if (args[i + 1] === undefined) throw new Error('--dlc needs a DLC name');
+            ownedDlcs = [...(ownedDlcs || []), args[++i]];
+        } else if (args[i] === '--no-dlc') {
+            ownedDlcs = ownedDlcs || [];
+        } else if (args[i] === '--format') {
+            if (!DefinitionsPipeline.FORMATS[args[i + 1]]) {
+                throw new Error('--format needs one of: ' + Object.keys(DefinitionsPipeline.FORMATS).join(', '));
+            }
+            formats.push(args[++i]);
+        } else if (args[i] === '--overrides') {
+            if (args[i + 1] === undefined) throw new Error('--overrides needs a JSON file');
+            const json = fs.readFileSync(args[++i], 'utf8');
+            overrides          = DefinitionOverrides.parse(json);
+            leaderTraitBuckets = LeaderTraitsBuilder.parseBuckets(json);
+        } else if (args[i] === '--matrices') {
+            matrices = true;
+        } else if (args[i] === '--condition-trees') {
+            conditionTrees = true;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    if (!formats.length) formats.push('script');
+    return {positional, mods, language, conditionTrees, diff, ownedDlcs, formats, overrides, leaderTraitBuckets, matrices};
+}
+
+/**
+ * Build the definitions of a game and its mods, without reporting diagnostics
+ * @param {string[]} archives - Game directory or zip, followed by the mods
+ * @param {Object} options - DefinitionsPipeline options
+ * @returns {Promise<Object>} DefinitionsPipeline.run() result
+ */
+async function buildDefinitions(archives, options) {
+    const gameFiles = new GameFiles();
+    for (const archive of archives) {
+        gameFiles.addArchive(await loadInput(archive), path.basename(archive));
+    }
+    return new DefinitionsPipeline(gameFiles, options).run();
+}
+
+async function main(args) {
+    const {positional, mods, language, conditionTrees, diff, ownedDlcs, formats, overrides, leaderTraitBuckets, matrices} = parseArgs(args);
+    const [input, outputDir = 'output'] = positional;
+    if (!input) {
+        console.error('Usage: node cli.js <game directory | zip> [output directory] [--mod <mod directory | zip>]... [--language <language>] [--condition-trees] [--diff <old game directory | zip>] [--dlc <name>]... [--no-dlc] [--format <format>]... [--overrides <overrides.json>] [--matrices]');
+        return 1;
+    }
+
+    const gameFiles = new GameFiles();
+    for (const archive of [input, ...mods]) {
+        gameFiles.addArchive(await loadInput(archive), path.basename(archive));
+    }
+
+    const pipeline    = new DefinitionsPipeline(gameFiles, {language, conditionTrees, ownedDlcs, overrides, leaderTraitBuckets});
+    const definitions = await pipeline.run();
+    const files       = Object.assign({}, ...formats.map(format => DefinitionsPipeline.render(definitions, format)));
+
+    for (const diagnostic of pipeline.diagnostics) {
+        console.error(ParadoxParser.formatDiagnostic(diagnostic));
+    }
+
+    console.log(`Discovered ${pipeline.report.discovered.length} definition files`);
+    for (const entry of pipeline.report.discovered) {
+        console.log(`  ${entry.path} (${entry.archive}): ${entry.definitions} definitions`);
+    }
+    if (pipeline.report.ignored.length) {
+        console.log(`Ignored ${pipeline.report.ignored.length} files without usable definitions`);
+        for (const entry of pipeline.report.ignored) {
+            console.log(`  ${entry.path} (${entry.archive})`);
+        }
+    }
+
+    files['manifest.json'] = JSON.stringify(await new GenerationManifest().build(gameFiles, {
+        archives       : [input, ...mods].map(archive => path.basename(archive)),
+        language,
+        condition_trees: conditionTrees,
+        owned_dlcs     : ownedDlcs,
+        overrides      : pipeline.overrides.overrides,
+        leader_trait_buckets: pipeline.leaderTraitBuckets,
+        formats,
+    }), null, 2);
+
+    const overridesReport = pipeline.overrides.report();
+    console.log(`Applied ${overridesReport.applied.length} overrides`);
+    for (const override of overridesReport.unmatched) {
+        console.error('Override matched nothing: ' + DefinitionOverrides.describe(override));
+    }
+
+    if (pipeline.dlcs.size) {
+        console.log('DLC found: ' + [...pipeline.dlcs].sort().join(', '));
+    }
+
+    if (matrices) {
+        const compatibility = new CompatibilityMatrix(definitions);
+        for (const name of Object.keys(CompatibilityMatrix.MATRICES)) {
+            const matrix = compatibility.build(name);
+            files[`compatibility_${name}.csv`]  = CompatibilityMatrix.toCsv(matrix);
+            files[`compatibility_${name}.dot`]  = CompatibilityMatrix.toDot(matrix);
+            files[`compatibility_${name}.html`] = CompatibilityMatrix.toHtml(matrix);
+        }
+    }
+
+    if (diff) {
+        const versionDiff = new VersionDiff();
+        const report      = versionDiff.compare(
+            await buildDefinitions([diff], {language, conditionTrees, ownedDlcs, overrides, leaderTraitBuckets}),
+            await buildDefinitions([input], {language, conditionTrees, ownedDlcs, overrides, leaderTraitBuckets}),
+            {old: path.basename(diff), new: path.basename(input)}
+        );
+        files['diff.md']   = versionDiff.toMarkdown(report);
+        files['diff.json'] = JSON.stringify(report, null, 2);
+    }
+
+    fs.mkdirSync(outputDir, {recursive: true});
+    for (const [filename, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(outputDir, filename), content);
+        console.log('Wrote ' + path.join(outputDir, filename));
+    }
+    return 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('Error: ' + error.message);
+        process.exit(1);
+    });
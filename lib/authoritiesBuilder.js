@@ -0,0 +1,74 @@
+/**
+ * AuthoritiesBuilder
+ *
+ * Builds authority definitions from common/governments/authorities/*.txt:
+ *
+ * auth_machine_intelligence: {
+ *   gestalt  : true,
+ *   machine  : true,
+ *   hive     : false,
+ *   corporate: false,
+ *   tags     : [],
+ *   yes: { authorities: [], civics: [], ethics: ['ethic_gestalt_consciousness'], species_archetype: ['MACHINE'], culture: [] },
+ *   no : { authorities: [], civics: [], ethics: [], species_archetype: [], culture: [] }
+ * }
+ *
+ * yes/no are the requirements of potential/possible, in the same shape as civics (see CivicsBuilder).
+ */
+class AuthoritiesBuilder {
+    /**
+     * Megacorp authorities, recognised by ID
+     */
+    static CORPORATE = ['auth_corporate'];
+
+    /**
+     * @param {Object} options - { conditionTrees: also emit the full requirement tree as "requirements" }
+     */
+    constructor(options = {}) {
+        this.conditionTrees = !!options.conditionTrees;
+        this.treeBuilder    = new ConditionTreeBuilder();
+    }
+
+    build(authoritiesFile = {}) {
+        const defs = {};
+        for (const [authName, authData] of Object.entries(authoritiesFile)) {
+            if (!authData || typeof authData !== 'object') continue;
+
+            const yes = { authorities: [], civics: [], ethics: [], species_archetype: [], culture: [] };
+            const no  = { authorities: [], civics: [], ethics: [], species_archetype: [], culture: [] };
+
+            const requirements = this.treeBuilder.build(authData.potential, authData.possible);
+            this.treeBuilder.toYesNo(requirements, CivicsBuilder.REQUIREMENT_KEYS, yes, no, ['culture']);
+
+            for (const key of Object.keys(yes)) {
+                yes[key] = [...new Set(yes[key])];
+                no[key]  = [...new Set(no[key])];
+            }
+
+            const tags    = this._list(authData.tags).filter(tag => typeof tag === 'string');
+            const gestalt = tags.includes('GESTALT') || yes.ethics.includes('ethic_gestalt_consciousness');
+            const machine = authData.machine_empire === true || yes.species_archetype.includes('MACHINE');
+
+            defs[authName] = {
+                gestalt,
+                machine,
+                hive     : gestalt && !machine,
+                corporate: AuthoritiesBuilder.CORPORATE.includes(authName),
+                tags,
+                yes,
+                no,
+            };
+            if (this.conditionTrees) defs[authName].requirements = requirements;
+        }
+        return defs;
+    }
+
+    _list(x) {
+        if (x === undefined || x === null) return [];
+        return Array.isArray(x) ? x : [x];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthoritiesBuilder;
+}
@@ -0,0 +1,273 @@
+/**
+ * CompatibilityMatrix
+ *
+ * Pairwise compatibility of generated definitions (origin x civic, civic x civic, ethic x authority,
+ * trait x trait), from their yes/no requirements:
+ * {
+ *   name   : 'origin_civic',
+ *   rows   : ['origin_default', ...],
+ *   columns: ['civic_beacon_of_liberty', ...],
+ *   cells  : [[{ state: 'allowed', reasons: [] }, { state: 'forbidden', reasons: ['origin_x excludes civic_y'] }, ...], ...]
+ * }
+ *
+ * A pair is
+ * - forbidden: one excludes the other, one needs something the other excludes completely, or both need
+ *   a different one of something an empire has only one of (origin, authority, species archetype or class)
+ * - conditional: possible, but only with something else: one needs another definition of the other's
+ *   kind (a civic needing another civic), or the other excludes some of the options it needs
+ * - allowed: otherwise
+ * The cell of a definition with itself is null.
+ *
+ * Matrices are rendered as CSV, as a Graphviz DOT graph of the forbidden pairs, or as an HTML heatmap.
+ */
+class CompatibilityMatrix {
+    /**
+     * Matrices, by name: the category of the rows and of the columns
+     */
+    static MATRICES = {
+        origin_civic   : {label: 'Origins x civics', rows: 'origins', columns: 'civics'},
+        civic_civic    : {label: 'Civics x civics', rows: 'civics', columns: 'civics'},
+        ethic_authority: {label: 'Ethics x authorities', rows: 'ethics', columns: 'authorities'},
+        trait_trait    : {label: 'Traits x traits', rows: 'traits', columns: 'traits'},
+    };
+
+    /**
+     * Requirements an empire picks only one of
+     */
+    static SINGLE_CHOICE = ['origins', 'authorities', 'species_archetype', 'species_class'];
+
+    static STATES = ['allowed', 'conditional', 'forbidden'];
+
+    /**
+     * @param {Object} definitions - Result of DefinitionsPipeline.run()
+     */
+    constructor(definitions) {
+        this.definitions = {};
+        for (const category of ['ethics', 'authorities', 'civics', 'origins', 'traits']) {
+            this.definitions[category] = new Map();
+            for (const defs of Object.values(definitions[category] || {})) {
+                if (Array.isArray(defs)) continue;
+
+                for (const [id, def] of Object.entries(defs)) {
+                    const normalized = this._normalize(category, id, def);
+                    if (normalized && !this.definitions[category].has(id)) this.definitions[category].set(id, normalized);
+                }
+            }
+        }
+    }
+
+    /**
+     * Build a matrix
+     * @param {string} name - See MATRICES
+     * @returns {Object} Matrix, see above
+     */
+    build(name) {
+        const spec = CompatibilityMatrix.MATRICES[name];
+        if (!spec) throw new Error('Unknown compatibility matrix: ' + name);
+
+        const rows    = [...this.definitions[spec.rows].values()];
+        const columns = [...this.definitions[spec.columns].values()];
+        return {
+            name,
+            rows   : rows.map(row => row.id),
+            columns: columns.map(column => column.id),
+            cells  : rows.map(row => columns.map(column => (row === column ? null : this.compare(row, column)))),
+        };
+    }
+
+    /**
+     * Compare two normalized definitions
+     * @param {Object} a - { id, kind, yes: { kind: [[options]] }, no: { kind: Set } }
+     * @param {Object} b
+     * @returns {Object} { state, reasons }
+     */
+    compare(a, b) {
+        const reasons = new Set();
+        let state     = 'allowed';
+        const raise   = (to, reason) => {
+            reasons.add(reason);
+            if (CompatibilityMatrix.STATES.indexOf(to) > CompatibilityMatrix.STATES.indexOf(state)) state = to;
+        };
+        const list = options => (options.length === 1 ? options[0] : 'one of ' + options.join(', '));
+
+        for (const [x, y] of [[a, b], [b, a]]) {
+            if (x.no[y.kind] && x.no[y.kind].has(y.id)) raise('forbidden', `${x.id} excludes ${y.id}`);
+
+            for (const [kind, groups] of Object.entries(x.yes)) {
+                const single = CompatibilityMatrix.SINGLE_CHOICE.includes(kind);
+
+                for (const group of groups) {
+                    if (kind === y.kind && group.includes(y.id)) continue;
+                    if (kind === y.kind) {
+                        if (single) raise('forbidden', `${x.id} needs ${list(group)}`);
+                        else raise('conditional', `${x.id} also needs ${list(group)}`);
+                        continue;
+                    }
+
+                    const excluded = group.filter(option => y.no[kind] && y.no[kind].has(option));
+                    if (excluded.length === group.length) {
+                        raise('forbidden', `${x.id} needs ${list(group)}, ${y.id} excludes it`);
+                        continue;
+                    }
+                    if (single && x === a) { // symmetric, checked once
+                        const left = group.filter(option => !excluded.includes(option));
+                        for (const other of y.yes[kind] || []) {
+                            if (!left.some(option => other.includes(option))) {
+                                raise('forbidden', `${x.id} needs ${list(group)}, ${y.id} needs ${list(other)}`);
+                            }
+                        }
+                    }
+                    if (excluded.length) raise('conditional', `${x.id} needs ${list(group)}, ${y.id} excludes ${excluded.join(', ')}`);
+                }
+            }
+        }
+        return {state, reasons: [...reasons]};
+    }
+
+    /**
+     * Render a matrix as CSV: a row per row definition, "-" for a definition with itself
+     * @param {Object} matrix - Result of build()
+     * @returns {string}
+     */
+    static toCsv(matrix) {
+        const quote = value => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+        const lines = [['', ...matrix.columns].map(quote).join(',')];
+        matrix.rows.forEach((row, r) => {
+            lines.push([row, ...matrix.cells[r].map(cell => (cell ? cell.state : '-'))].map(quote).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Render the forbidden pairs of a matrix as an undirected Graphviz DOT graph
+     * @param {Object} matrix - Result of build()
+     * @returns {string}
+     */
+    static toDot(matrix) {
+        const quote = value => `"${value.replace(/"/g, '\\"')}"`;
+        const nodes = new Set();
+        const edges = new Set();
+        const lines = [`graph ${matrix.name} {`, '    node [shape=box];'];
+
+        matrix.rows.forEach((row, r) => {
+            matrix.columns.forEach((column, c) => {
+                const cell = matrix.cells[r][c];
+                if (!cell || cell.state !== 'forbidden') return;
+
+                const key = [row, column].sort().join('\n');
+                if (edges.has(key)) return;
+                edges.add(key);
+                nodes.add(row);
+                nodes.add(column);
+            });
+        });
+
+        for (const node of [...nodes].sort()) lines.push(`    ${quote(node)};`);
+        for (const edge of edges) {
+            const [from, to] = edge.split('\n');
+            lines.push(`    ${quote(from)} -- ${quote(to)};`);
+        }
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Render a matrix as an HTML table, cells classed by state with the reasons as tooltip
+     * @param {Object} matrix - Result of build()
+     * @returns {string}
+     */
+    static toHtmlTable(matrix) {
+        const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const header = matrix.columns.map(column => `<th class="column"><span>${escape(column)}</span></th>`).join('');
+        const rows   = matrix.rows.map((row, r) => {
+            const cells = matrix.cells[r].map((cell, c) => {
+                if (!cell) return '<td class="self"></td>';
+                const title = [`${row} x ${matrix.columns[c]}: ${cell.state}`, ...cell.reasons].join('\n');
+                return `<td class="${cell.state}" title="${escape(title)}"></td>`;
+            }).join('');
+            return `<tr><th class="row">${escape(row)}</th>${cells}</tr>`;
+        }).join('\n');
+
+        return `<table class="compatibility-matrix">\n<tr><th></th>${header}</tr>\n${rows}\n</table>`;
+    }
+
+    /**
+     * Render a matrix as a standalone HTML heatmap page
+     * @param {Object} matrix - Result of build()
+     * @returns {string}
+     */
+    static toHtml(matrix) {
+        const label = CompatibilityMatrix.MATRICES[matrix.name].label;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${label}</title>
+<style>
+body { font-family: system-ui, sans-serif; background: #121212; color: azure; }
+${CompatibilityMatrix.HEATMAP_CSS}
+</style>
+</head>
+<body>
+<h1>${label}</h1>
+<p><span class="legend allowed"></span> allowed <span class="legend conditional"></span> conditional <span class="legend forbidden"></span> forbidden (hover a cell for the reasons)</p>
+${CompatibilityMatrix.toHtmlTable(matrix)}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Styles of the heatmap, shared with index.html
+     */
+    static HEATMAP_CSS = `.compatibility-matrix { border-collapse: collapse; font-size: 11px; }
+.compatibility-matrix th { font-weight: normal; white-space: nowrap; }
+.compatibility-matrix th.row { text-align: right; padding-right: 4px; }
+.compatibility-matrix th.column { height: 160px; vertical-align: bottom; }
+.compatibility-matrix th.column span { writing-mode: vertical-rl; transform: rotate(180deg); }
+.compatibility-matrix td { width: 12px; height: 12px; border: 1px solid #222; }
+.compatibility-matrix .allowed, .legend.allowed { background: #2e7d32; }
+.compatibility-matrix .conditional, .legend.conditional { background: #f9a825; }
+.compatibility-matrix .forbidden, .legend.forbidden { background: #c62828; }
+.compatibility-matrix .self { background: #444; }
+.legend { display: inline-block; width: 12px; height: 12px; }`;
+
+    /**
+     * Bring a definition in the shape compare() works with
+     * - requirement groups: every entry of a yes list is a group of options (one of them is needed);
+     *   for traits the whole list is one group (allowed_archetypes etc. list the options)
+     * - exclusions: sets of IDs by kind; ethics exclude their incompatible ethics
+     * Leader traits (yes.class) are left out
+     * @private
+     */
+    _normalize(category, id, def) {
+        if (!def || typeof def !== 'object') return null;
+
+        const flat = list => (Array.isArray(list) ? list.flat(Infinity).filter(value => typeof value === 'string') : []);
+        const yes  = {};
+        const no   = {};
+
+        if (category === 'ethics') {
+            no.ethics = new Set(flat(def.incompatible_ethics));
+            return {id, kind: category, yes, no};
+        }
+
+        if (!def.yes || !def.no) return null;
+        if (category === 'traits' && def.yes.class !== undefined) return null;
+
+        for (const [kind, list] of Object.entries(def.yes)) {
+            if (!Array.isArray(list) || !list.length) continue;
+            yes[kind] = category === 'traits'
+                ? [flat(list)]
+                : list.map(entry => (Array.isArray(entry) ? flat(entry) : [entry])).filter(group => group.length);
+        }
+        for (const [kind, list] of Object.entries(def.no)) {
+            no[kind] = new Set(flat(list));
+        }
+        return {id, kind: category, yes, no};
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CompatibilityMatrix;
+}
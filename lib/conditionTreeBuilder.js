@@ -0,0 +1,240 @@
+/**
+ * ConditionTreeBuilder
+ *
+ * Turns potential/possible blocks into a normalized boolean expression tree, without losing
+ * nested AND/OR/NOT/NOR structure or conditions that have no place in the yes/no format.
+ *
+ * Nodes:
+ * - { op: 'and', args: [...] }   all of (an empty 'and' is always true)
+ * - { op: 'or', args: [...] }    one of
+ * - { op: 'not', arg: {...} }    NOT, and NOR as not(or(...))
+ * - { type: 'ethic', id: 'ethic_egalitarian' }   typed leaf (see CATEGORIES)
+ * - { type: 'condition', key: 'is_gestalt', value: true }   any other condition
+ *
+ * NOT and NOR are true when none of their entries is: NOT = { a b } is not(or(a, b)), while an explicit
+ * AND in them stays one entry, NOT = { AND = { a b } } is not(and(a, b)).
+ *
+ * Normalization: single argument and/or nodes are replaced by their argument (except an OR block with a
+ * single option, kept so yes/no still lists it as a group), nested nodes of the same op are merged and
+ * double negations removed. Requirement categories keep the order the yes/no format always used:
+ * OR groups, NOR, NOT, then plain values.
+ *
+ * toYesNo() derives the yes/no format used by the builders from a tree, evaluate() checks a tree
+ * against a test for its leaves.
+ */
+class ConditionTreeBuilder {
+    /**
+     * Requirement categories in potential/possible blocks, and the leaf type of their values
+     */
+    static CATEGORIES = {
+        ethics            : 'ethic',
+        authority         : 'authority',
+        authorities       : 'authority',
+        civics            : 'civic',
+        origin            : 'origin',
+        species_class     : 'species_class',
+        species_archetype : 'species_archetype',
+        species_archetypes: 'species_archetype',
+        graphical_culture : 'culture',
+        host_has_dlc      : 'dlc', // host_has_dlc = "Megacorp", a plain value
+    };
+
+    /**
+     * Build the requirement tree of a definition: all of its potential and possible blocks
+     * @param {...(Object|Array)} blocks - potential/possible blocks, each can be an array of blocks (duplicate keys)
+     * @returns {Object} Condition tree
+     */
+    build(...blocks) {
+        const args = [];
+        for (const block of blocks) {
+            for (const b of this._list(block)) {
+                if (b && typeof b === 'object') args.push(this._triggerBlock(b));
+            }
+        }
+        return this._and(args);
+    }
+
+    /**
+     * Derive the yes/no format from a tree
+     *
+     * Top level leaves are required (yes), OR groups become nested arrays in yes, negated leaves and the
+     * options of a negated OR are forbidden (no). Leaf types not in keyMap are skipped, and so is what
+     * yes/no can't express: an OR with options of different keys or with other conditions, and a negated
+     * combination (NOT = { AND = { a b } } doesn't forbid a or b on their own).
+     *
+     * @param {Object} tree - Condition tree
+     * @param {Object} keyMap - Leaf type to yes/no key, e.g. { ethic: 'ethics', authority: 'authorities' }
+     * @param {Object} yes - Required values per key, filled in place
+     * @param {Object} no - Forbidden values per key, filled in place
+     * @param {string[]} flatKeys - Keys where OR groups are added as plain values (e.g. culture)
+     */
+    toYesNo(tree, keyMap, yes, no, flatKeys = []) {
+        const conjuncts = tree.op === 'and' ? tree.args : [tree];
+
+        for (const node of conjuncts) {
+            if (node.type) {
+                const key = keyMap[node.type];
+                if (key) yes[key].push(node.id);
+            } else if (node.op === 'or') {
+                // one of: only when every option is a value of the same key
+                const keys = new Set(node.args.map(arg => (arg.type ? keyMap[arg.type] : undefined)));
+                const key  = keys.size === 1 ? [...keys][0] : undefined;
+                if (!key) continue;
+
+                const group = node.args.map(arg => arg.id);
+                if (flatKeys.includes(key)) yes[key].push(...group);
+                else yes[key].push(group);
+            } else if (node.op === 'not') {
+                const negated = node.arg.op === 'or' ? node.arg.args : [node.arg];
+                for (const leaf of negated) {
+                    const key = leaf.type ? keyMap[leaf.type] : undefined;
+                    if (key) no[key].push(leaf.id);
+                }
+            } else if (node.op === 'and') {
+                this.toYesNo(node, keyMap, yes, no, flatKeys);
+            }
+        }
+    }
+
+    /**
+     * Get the typed leaves of a tree
+     * @param {Object} node - Condition tree
+     * @param {boolean} includeNegated - Include leaves under a NOT
+     * @returns {Object[]} Leaves
+     */
+    leaves(node, includeNegated = true) {
+        if (node.type) return node.type === 'condition' ? [] : [node];
+        if (node.op === 'not') return includeNegated ? this.leaves(node.arg, true) : [];
+        return node.args.flatMap(arg => this.leaves(arg, includeNegated));
+    }
+
+    /**
+     * Evaluate a tree
+     * @param {Object} node - Condition tree
+     * @param {Function} test - Returns whether a leaf is true
+     * @returns {boolean}
+     */
+    evaluate(node, test) {
+        if (node.op === 'and') return node.args.every(arg => this.evaluate(arg, test));
+        if (node.op === 'or') return node.args.some(arg => this.evaluate(arg, test));
+        if (node.op === 'not') return !this.evaluate(node.arg, test);
+        return !!test(node);
+    }
+
+    /* ---------- Trigger blocks (potential/possible and AND/OR/NOT inside them) ---------- */
+
+    _triggerBlock(block) {
+        return this._and(this._blockArgs(block));
+    }
+
+    /**
+     * Nodes for the entries of a trigger block, an explicit AND being one node
+     * @private
+     */
+    _blockArgs(block) {
+        const args = [];
+        for (const [key, val] of Object.entries(block)) {
+            for (const v of this._values(val)) {
+                if (key === 'text' || key === 'items') continue;
+
+                const type = ConditionTreeBuilder.CATEGORIES[key];
+                if (type) args.push(this._category(type, v));
+                else if (key === 'AND') args.push(this._triggerBlock(v));
+                else if (key === 'OR') args.push(this._or(this._entries(v), true));
+                else if (key === 'NOT' || key === 'NOR') args.push(this._not(this._or(this._entries(v))));
+                else args.push({type: 'condition', key, value: v});
+            }
+        }
+        return args;
+    }
+
+    /**
+     * Nodes for the entries of an OR/NOT/NOR value
+     * @private
+     */
+    _entries(value) {
+        return value && typeof value === 'object' && !Array.isArray(value) ? this._blockArgs(value) : [];
+    }
+
+    /* ---------- Requirement categories (ethics = { OR = { value = ... } }) ---------- */
+
+    _category(type, block) {
+        return this._and(this._categoryArgs(type, block));
+    }
+
+    /**
+     * Nodes for a requirement category block, an explicit AND being one node
+     * @private
+     */
+    _categoryArgs(type, block) {
+        if (typeof block === 'string') return [{type, id: block}];
+        if (Array.isArray(block)) return block.flatMap(b => this._categoryArgs(type, b)); // list block: { a b }
+        if (!block || typeof block !== 'object') return [];
+
+        const args   = [];
+        const groups = (x) => this._list(x).map(group => this._group(type, group)).filter(nodes => nodes.length);
+        for (const nodes of groups(block.OR)) args.push(this._or(nodes, true));
+        for (const nodes of groups(block.NOR)) args.push(this._not(this._or(nodes)));
+        for (const nodes of groups(block.NOT)) args.push(this._not(this._or(nodes)));
+        for (const nodes of groups(block.AND)) args.push(this._and(nodes));
+        for (const value of this._list(block.value)) args.push(...this._group(type, value));
+        return args;
+    }
+
+    /**
+     * Nodes for the contents of a group (OR = { value = a value = b NOT = { ... } })
+     * @private
+     */
+    _group(type, group) {
+        if (group == null) return [];
+        if (typeof group === 'string') return [{type, id: group}];
+        if (typeof group === 'number') return [{type, id: String(group)}];
+        if (Array.isArray(group)) return group.flatMap(g => this._group(type, g));
+        if (typeof group !== 'object') return [];
+
+        const nested = Object.keys(group).some(key => ['OR', 'NOR', 'NOT', 'AND'].includes(key));
+        if (!nested && !('value' in group)) {
+            // keyed block without value: take its values, like _gather in the builders
+            return Object.entries(group)
+                .filter(([key]) => key !== 'text')
+                .flatMap(([key, v]) => this._group(type, v));
+        }
+        return this._categoryArgs(type, group);
+    }
+
+    /* ---------- Node helpers ---------- */
+
+    _values(val) {
+        // the parser merges duplicate keys into an array, one not tracked as a block in ParadoxParser.locations
+        return Array.isArray(val) && !ParadoxParser.locations.has(val) ? val : [val];
+    }
+
+    _list(x) {
+        if (x === undefined || x === null) return [];
+        return Array.isArray(x) ? x : [x];
+    }
+
+    _and(args) {
+        const flat = args.flatMap(arg => arg.op === 'and' ? arg.args : [arg]);
+        return flat.length === 1 ? flat[0] : {op: 'and', args: flat};
+    }
+
+    /**
+     * @param {Object[]} args
+     * @param {boolean} block - An OR block of the file: kept with a single option
+     * @private
+     */
+    _or(args, block = false) {
+        const flat = args.flatMap(arg => arg.op === 'or' ? arg.args : [arg]);
+        return flat.length === 1 && !(block && flat[0].type) ? flat[0] : {op: 'or', args: flat};
+    }
+
+    _not(arg) {
+        if (arg.op === 'not') return arg.arg;
+        return {op: 'not', arg};
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConditionTreeBuilder;
+}
@@ -0,0 +1,125 @@
+/**
+ * DefinitionIndex
+ *
+ * Every generated definition by ID, for the definitions browser in index.html:
+ * {
+ *   id        : 'civic_environmental_architects',
+ *   category  : 'civics',
+ *   groups    : ['basegame_civics'],
+ *   definition: { ... },                        as generated
+ *   name      : 'Environmental Architects',     from the localisation, null without it
+ *   source    : { path, archive, line, text },  see DefinitionsPipeline.sources(), null if unknown
+ *   references: ['origin_shattered_ring', ...]  other IDs mentioned in the definition
+ * }
+ *
+ * referencedBy() gives the other direction: the definitions mentioning an ID.
+ */
+class DefinitionIndex {
+    /**
+     * Fields holding text, names or kinds rather than IDs: their strings are never references
+     * (a name or description can be the same as an ID)
+     */
+    static TEXT_FIELDS = ['name', 'description', 'text', 'tooltip', 'custom_tooltip', 'category', 'tags', 'type', 'op', 'key'];
+
+    /**
+     * @param {Object} definitions - Result of DefinitionsPipeline.run()
+     * @param {Object} sources - Result of DefinitionsPipeline.sources()
+     */
+    constructor(definitions, sources = {}) {
+        const names = Object.assign({}, ...Object.values(definitions.localisation || {}));
+
+        this.entries = new Map();
+        for (const [category, groups] of Object.entries(definitions)) {
+            if (category === 'localisation') continue;
+
+            for (const [group, defs] of Object.entries(groups)) {
+                if (Array.isArray(defs)) continue;
+
+                for (const [id, definition] of Object.entries(defs)) {
+                    if (this.entries.has(id)) {
+                        this.entries.get(id).groups.push(group);
+                        continue;
+                    }
+                    this.entries.set(id, {
+                        id,
+                        category,
+                        groups    : [group],
+                        definition,
+                        name      : names[id] ? names[id].name : null,
+                        source    : sources[id] || null,
+                        references: [],
+                    });
+                }
+            }
+        }
+
+        this.referrers = new Map(); // id -> IDs of the definitions mentioning it
+        for (const entry of this.entries.values()) {
+            const references = new Set();
+            this._collectReferences(entry.definition, references);
+            references.delete(entry.id);
+
+            entry.references = [...references];
+            for (const id of entry.references) {
+                if (!this.referrers.has(id)) this.referrers.set(id, []);
+                this.referrers.get(id).push(entry.id);
+            }
+        }
+    }
+
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    /**
+     * IDs of the definitions mentioning an ID
+     * @param {string} id
+     * @returns {string[]}
+     */
+    referencedBy(id) {
+        return this.referrers.get(id) || [];
+    }
+
+    /**
+     * Find definitions
+     * @param {Object} filter - {
+     *   text       : part of the ID or name, case insensitive,
+     *   category   : output category (civics, traits, ...),
+     *   requirement: ID the definition must mention (in yes/no, incompatibilities, ...)
+     * }
+     * @returns {Object[]} Entries, sorted by ID
+     */
+    search(filter = {}) {
+        const text = (filter.text || '').trim().toLowerCase();
+
+        return [...this.entries.values()]
+            .filter(entry => !filter.category || entry.category === filter.category)
+            .filter(entry => !filter.requirement || entry.references.includes(filter.requirement))
+            .filter(entry => !text || entry.id.toLowerCase().includes(text) || (entry.name || '').toLowerCase().includes(text))
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Known IDs among the strings of a definition
+     * @private
+     */
+    _collectReferences(value, found) {
+        if (typeof value === 'string') {
+            if (this.entries.has(value)) found.add(value);
+        } else if (Array.isArray(value)) {
+            for (const item of value) this._collectReferences(item, found);
+        } else if (value && typeof value === 'object') {
+            for (const [key, item] of Object.entries(value)) {
+                if (!DefinitionIndex.TEXT_FIELDS.includes(key)) this._collectReferences(item, found);
+            }
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DefinitionIndex;
+}
@@ -0,0 +1,250 @@
+/**
+ * DefinitionOverrides
+ *
+ * Corrections applied to the generated definitions after the builders, declared as a list of overrides
+ * (the JSON imported and exported by index.html and read by cli.js --overrides):
+ * {
+ *   "overrides": [
+ *     { "action": "add",     "id": "trait_aquatic", "field": "no.traits", "value": "trait_cave_dweller" },
+ *     { "action": "remove",  "id": "civic_environmental_architects", "field": "no.origins", "value": "origin_shattered_ring" },
+ *     { "action": "exclude", "id": "trait_aquatic", "group": "basegame_traits" },
+ *     { "action": "include", "id": "trait_aquatic", "group": "basegame_lithoid_traits" },
+ *     { "action": "rename",  "group": "ocean_traits", "to": "aquatic_traits" },
+ *     { "action": "cost",    "id": "civic_beacon_of_liberty", "cost": 2 }
+ *   ],
+ *   "leaderTraitBuckets": [ { "group": "basegame_leader_traits", "initialOnly": true }, ... ]
+ * }
+ *
+ * - add/remove: add a value to, or remove it from, a list of a definition (field is a path like "no.traits")
+ * - exclude: leave an ID out of a group, or out of every group without "group"
+ * - include: copy a definition into a group, from another group of the same category or from the definitions
+ *   the builders left out of every group
+ * - rename: rename an output group
+ * - cost: set the cost of a definition
+ * Every override may have a "note". They're applied in order, to every definition with the ID.
+ * leaderTraitBuckets is optional and replaces LeaderTraitsBuilder.BUCKETS, see LeaderTraitsBuilder.parseBuckets().
+ *
+ * report() lists the overrides that applied, and the ones that didn't match anything (their ID, field,
+ * value or group isn't in the output, e.g. because a game patch changed it).
+ */
+class DefinitionOverrides {
+    /**
+     * Fields each action needs
+     */
+    static ACTIONS = {
+        add    : ['id', 'field', 'value'],
+        remove : ['id', 'field', 'value'],
+        exclude: ['id'],
+        include: ['id', 'group'],
+        rename : ['group', 'to'],
+        cost   : ['id', 'cost'],
+    };
+
+    /**
+     * Overrides used when none are given: corrections the game files don't express
+     */
+    static DEFAULTS = [
+        {action: 'exclude', id: 'trait_aquatic', group: 'basegame_traits'},
+        {action: 'exclude', id: 'trait_aquatic', group: 'basegame_lithoid_traits'},
+        {action: 'include', id: 'trait_aquatic', group: 'ocean_traits'},
+        {action: 'exclude', id: 'trait_robot_aquatic', group: 'basegame_machine_traits'},
+        {action: 'include', id: 'trait_robot_aquatic', group: 'machine_ocean_traits'},
+        {action: 'add', id: 'trait_aquatic', field: 'no.traits', value: 'trait_cave_dweller'},
+        {action: 'add', id: 'trait_robot_aquatic', field: 'no.traits', value: 'trait_cave_dweller'},
+    ];
+
+    /**
+     * Read overrides from JSON
+     * @param {string|Object|Array} json - { overrides: [...] }, or the list itself
+     * @returns {Object[]} Overrides
+     * @throws {Error} When the JSON or an override is invalid
+     */
+    static parse(json) {
+        const data      = typeof json === 'string' ? JSON.parse(json) : json;
+        const overrides = Array.isArray(data) ? data : data && data.overrides;
+        if (!Array.isArray(overrides)) throw new Error('Overrides must be a list, or an object with an "overrides" list');
+
+        overrides.forEach((override, index) => {
+            const fields = override && DefinitionOverrides.ACTIONS[override.action];
+            if (!fields) throw new Error(`Override ${index + 1}: unknown action '${override && override.action}'`);
+
+            const missing = fields.filter(field => override[field] === undefined);
+            if (missing.length) throw new Error(`Override ${index + 1} (${override.action}): missing ${missing.join(', ')}`);
+            if (override.action === 'cost' && typeof override.cost !== 'number') {
+                throw new Error(`Override ${index + 1} (cost): cost must be a number`);
+            }
+            if (override.action === 'rename' && !/^[A-Za-z_]\w*$/.test(override.to)) {
+                throw new Error(`Override ${index + 1} (rename): '${override.to}' can't be used as a group name`);
+            }
+        });
+        return overrides;
+    }
+
+    /**
+     * Write overrides as JSON, see parse()
+     * @param {Object[]} overrides
+     * @param {Object[]} buckets - Leader trait buckets, left out when null
+     * @returns {string}
+     */
+    static stringify(overrides, buckets = null) {
+        return JSON.stringify(buckets ? {overrides, leaderTraitBuckets: buckets} : {overrides}, null, 2);
+    }
+
+    /**
+     * Describe an override, e.g. "add trait_cave_dweller to trait_aquatic no.traits"
+     * @param {Object} override
+     * @returns {string}
+     */
+    static describe(override) {
+        switch (override.action) {
+            case 'add':
+                return `add ${override.value} to ${override.id} ${override.field}`;
+            case 'remove':
+                return `remove ${override.value} from ${override.id} ${override.field}`;
+            case 'exclude':
+                return `exclude ${override.id}` + (override.group ? ` from ${override.group}` : '');
+            case 'include':
+                return `include ${override.id} in ${override.group}`;
+            case 'rename':
+                return `rename ${override.group} to ${override.to}`;
+            case 'cost':
+                return `set the cost of ${override.id} to ${override.cost}`;
+            default:
+                return override.action;
+        }
+    }
+
+    /**
+     * @param {Object[]} overrides - See above, default DEFAULTS
+     */
+    constructor(overrides = DefinitionOverrides.DEFAULTS) {
+        this.overrides = overrides;
+        this.matched   = overrides.map(() => false);
+    }
+
+    /**
+     * Apply the overrides to the groups of one output category
+     * @param {Object} groups - Groups of the category
+     * @param {Function} unfiltered - Returns every definition of the category by ID, also the ones left out of
+     *                                the groups; called once, only when an include needs it
+     * @returns {Object} Groups with the overrides applied (a new object when a group is renamed)
+     */
+    apply(groups, unfiltered = null) {
+        let all = null;
+        const definitions = () => (all = all || (unfiltered ? unfiltered() : {}));
+
+        this.overrides.forEach((override, index) => {
+            const result = this[`_${override.action}`](groups, override, definitions);
+            if (result.matched) this.matched[index] = true;
+            if (result.groups) groups = result.groups;
+        });
+        return groups;
+    }
+
+    /**
+     * Overrides that applied, and the ones that didn't match anything
+     * @returns {Object} { applied: [...], unmatched: [...] }
+     */
+    report() {
+        return {
+            applied  : this.overrides.filter((override, index) => this.matched[index]),
+            unmatched: this.overrides.filter((override, index) => !this.matched[index]),
+        };
+    }
+
+    _add(groups, {id, field, value}) {
+        let matched = false;
+        for (const list of this._fields(groups, id, field)) {
+            if (!list.includes(value)) list.push(value);
+            matched = true;
+        }
+        return {matched};
+    }
+
+    _remove(groups, {id, field, value}) {
+        let matched = false;
+        for (const list of this._fields(groups, id, field)) {
+            const at = list.indexOf(value);
+            if (at === -1) continue;
+            list.splice(at, 1);
+            matched = true;
+        }
+        return {matched};
+    }
+
+    _exclude(groups, {id, group}) {
+        let matched = false;
+        for (const [name, defs] of Object.entries(groups)) {
+            if (group && name !== group) continue;
+
+            if (Array.isArray(defs)) {
+                const at = defs.indexOf(id);
+                if (at === -1) continue;
+                defs.splice(at, 1);
+                matched = true;
+            } else if (Object.prototype.hasOwnProperty.call(defs, id)) {
+                delete defs[id];
+                matched = true;
+            }
+        }
+        return {matched};
+    }
+
+    _include(groups, {id, group}, definitions) {
+        const target = groups[group];
+        if (!target) return {matched: false};
+
+        if (Array.isArray(target)) {
+            const known = Object.values(groups).some(defs => (Array.isArray(defs) ? defs.includes(id) : defs[id]));
+            if (!known && !definitions()[id]) return {matched: false};
+            if (!target.includes(id)) target.push(id);
+            return {matched: true};
+        }
+        if (target[id]) return {matched: true};
+
+        // a copy, so later overrides of one group don't change the other
+        const source = Object.values(groups).find(defs => !Array.isArray(defs) && defs[id]);
+        const def    = source ? source[id] : definitions()[id];
+        if (!def) return {matched: false};
+        target[id] = JSON.parse(JSON.stringify(def));
+        return {matched: true};
+    }
+
+    _rename(groups, {group, to}) {
+        if (!groups[group]) return {matched: false};
+        return {
+            matched: true,
+            groups : Object.fromEntries(Object.entries(groups).map(([name, defs]) => [name === group ? to : name, defs])),
+        };
+    }
+
+    _cost(groups, {id, cost}) {
+        const defs = this._definitions(groups, id);
+        for (const def of defs) def.cost = cost;
+        return {matched: defs.length > 0};
+    }
+
+    /**
+     * Every definition with an ID, in all groups
+     * @private
+     */
+    _definitions(groups, id) {
+        return Object.values(groups)
+            .filter(defs => !Array.isArray(defs) && Object.prototype.hasOwnProperty.call(defs, id))
+            .map(defs => defs[id]);
+    }
+
+    /**
+     * The lists at a field path ("no.traits") of every definition with an ID
+     * @private
+     */
+    _fields(groups, id, field) {
+        return this._definitions(groups, id)
+            .map(def => field.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), def))
+            .filter(Array.isArray);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DefinitionOverrides;
+}
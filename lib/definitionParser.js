@@ -1,144 +1,410 @@
+/**
+ * ParadoxParser
+ *
+ * Parses Paradox script into plain objects/arrays.
+ *
+ * Every token carries its source location (file, line, column; 1-based), and every parsed
+ * block remembers where it and each of its keys came from, see ParadoxParser.locationOf().
+ *
+ * Problems found while parsing (unbalanced braces, unterminated strings, dangling '=',
+ * skipped tokens) are collected in parser.diagnostics, reset on every parse:
+ * { severity: 'error'|'warning', message, file, line, column }
+ *
+ * Scripted variables are resolved while parsing: top-level "@name = value" declarations are
+ * collected in parser.variables (and not emitted as definitions), "@name" values are replaced
+ * by their value and inline math "@[ base * 2 ]" is evaluated. Global variables from
+ * common/scripted_variables are registered with defineVariables() before parsing other files.
+ *
+ * Inline scripts are expanded while parsing too: "inline_script = name" and
+ * "inline_script = { script = name PARAM = value }" are replaced by the script registered with
+ * defineInlineScripts() (common/inline_scripts/<name>.txt), with "$PARAM$" (or "$PARAM|default$")
+ * substituted and "[[PARAM] ... ]" / "[[!PARAM] ... ]" sections kept only when PARAM is given / not given.
+ * Unknown scripts and parameters without a value are reported as diagnostics; an unknown script is kept as is.
+ *
+ * parseAst() is the lossless alternative to parse(): every block is an ordered list of entries,
+ * with repeated keys, comparison operators and bare items kept as they are in the file:
+ * [
+ *   { key: 'cost', operator: '=', value: 2, location: { file, line, column } },
+ *   { key: 'num_owned_planets', operator: '>', value: 5, location },
+ *   { key: null, operator: null, value: 'GESTALT', location },           bare item
+ *   { key: 'possible', operator: '=', value: [ ...entries ], location },  block
+ * ]
+ * Values are numbers, booleans (yes/no), strings or blocks (arrays of entries), with scripted variables
+ * and inline math resolved like parse() does. See ParadoxAst for querying the entries.
+ */
 class ParadoxParser {
-    async parseFile(file) {
+    /**
+     * Source locations of parsed blocks, see locationOf()
+     */
+    static locations = new WeakMap();
+
+    /**
+     * Get the source location of a parsed block, or of one of its keys
+     * @param {Object|Array} node - Block returned by parse()
+     * @param {string} key - Optional key inside the block
+     * @returns {Object|null} { file, line, column } or null if unknown
+     */
+    static locationOf(node, key) {
+        const entry = node && typeof node === 'object' ? ParadoxParser.locations.get(node) : null;
+        if (!entry) return null;
+        if (key === undefined) return entry.location;
+        return entry.keys[key] || null;
+    }
+
+    /**
+     * Format a diagnostic as "file:line:column: severity: message"
+     * @param {Object} diagnostic
+     * @returns {string}
+     */
+    static formatDiagnostic(diagnostic) {
+        return `${diagnostic.file || '<input>'}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.severity}: ${diagnostic.message}`;
+    }
+
+    constructor() {
+        this.globalVariables = {};
+        this.variables       = {};
+        this.inlineScripts   = {};
+        this.including       = []; // inline scripts being expanded, to catch scripts including themselves
+    }
+
+    /**
+     * Register global scripted variables, available to every file parsed afterwards
+     * @param {Object} variables - Map of variable name (with '@') to value
+     */
+    defineVariables(variables) {
+        Object.assign(this.globalVariables, variables);
+    }
+
+    /**
+     * Register inline scripts, expanded in every file parsed afterwards
+     * @param {Object} scripts - Map of script name (path below common/inline_scripts without '.txt') to text
+     */
+    defineInlineScripts(scripts) {
+        Object.assign(this.inlineScripts, scripts);
+    }
+
+    /**
+     * Substitute the parameters of an inline script
+     * @param {string} text - Script text
+     * @param {Object} parameters - Map of parameter name to value
+     * @returns {Object} { text, missing: names of the parameters used without a value }
+     */
+    static substituteParameters(text, parameters) {
+        const given   = name => Object.prototype.hasOwnProperty.call(parameters, name);
+        const missing = new Set();
+
+        // [[PARAM] ... ] and [[!PARAM] ... ] sections, which may be nested
+        const sections = (source) => {
+            let out = '';
+            let pos = 0;
+            while (true) {
+                const open    = source.indexOf('[[', pos);
+                const nameEnd = open === -1 ? -1 : source.indexOf(']', open + 2);
+                if (nameEnd === -1) break;
+
+                let depth = 1;
+                let end   = nameEnd + 1;
+                for (; end < source.length && depth; end++) {
+                    if (source[end] === '[') depth++;
+                    else if (source[end] === ']') depth--;
+                }
+                if (depth) break; // never closed, left as is
+
+                const condition = source.slice(open + 2, nameEnd).trim();
+                const negated   = condition.startsWith('!');
+                out += source.slice(pos, open);
+                if (given(negated ? condition.slice(1) : condition) !== negated) out += sections(source.slice(nameEnd + 1, end - 1));
+                pos = end;
+            }
+            return out + source.slice(pos);
+        };
+
+        const substituted = sections(text).replace(/\$(\w+)(?:\|([^$\n]*))?\$/g, (match, name, fallback) => {
+            if (given(name)) return String(parameters[name]);
+            if (fallback !== undefined) return fallback;
+            missing.add(name);
+            return match;
+        });
+        return {text: substituted, missing: [...missing]};
+    }
+
+    /**
+     * Parse a file from a JSZip archive
+     * @param {Object} file - JSZip file object
+     * @param {string} fileName - Name used in locations and diagnostics, defaults to the path inside the archive
+     * @returns {Promise<Object>} Parsed data
+     */
+    async parseFile(file, fileName = file.name) {
         const content = await file.async('text');
-        return this.parse(content);
+        return this.parse(content, fileName);
     }
 
-    parse(text) {
-        this.text   = (text || '').replace(/\r\n?/g, '\n');
-        this.pos    = 0;
-        this.tokens = this._tokenize(this._stripComments(this.text));
-        this.idx    = 0;
-        const out   = {};
+    /**
+     * Parse a file from a JSZip archive as entries, see parseAst()
+     * @param {Object} file - JSZip file object
+     * @param {string} fileName - Name used in locations and diagnostics, defaults to the path inside the archive
+     * @returns {Promise<Object[]>} Entries
+     */
+    async parseFileAst(file, fileName = file.name) {
+        const content = await file.async('text');
+        return this.parseAst(content, fileName);
+    }
+
+    parse(text, fileName = null) {
+        this._begin(text, fileName, false);
+        const out = {};
+        this._track(out, {file: this.file, line: 1, column: 1});
         while (this._peek()) {
             const tk = this._peek();
             if (tk.type !== 'word') {
-                this._next();
+                this._warnSkipped(this._next());
                 continue;
             }
-            const name = this._next().value;
+            const name = this._next();
             const nxt  = this._peek();
             if (nxt && nxt.type === '=') {
                 this._next(); // consume '='
-                const val = this._parseValue();
-                this._assign(out, name, val);
+                const val = this._parseValue(nxt);
+                if (val === undefined) continue;
+                if (name.value.startsWith('@')) this.variables[name.value] = val; // scripted variable declaration
+                else if (!this._expandInto(out, null, name, val)) this._assign(out, name, val);
             } else {
                 // bare top-level token (rare) - store true
                 this._assign(out, name, true);
             }
         }
+        this.diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
         return out;
     }
 
-    /* ---------- Lexer / helpers ---------- */
-
-    _stripComments(src) {
-        // remove '#' comments but preserve # inside quoted strings
-        let out     = '';
-        let inQuote = false;
-        for (let i = 0; i < src.length; i++) {
-            const ch = src[i];
-            if (ch === '"') {
-                // check escape count
-                let j = i - 1, bs = 0;
-                while (j >= 0 && src[j] === '\\') {
-                    bs++;
-                    j--;
-                }
-                if (bs % 2 === 0) inQuote = !inQuote;
-                out += ch;
-                continue;
-            }
-            if (!inQuote && ch === '#') {
-                // skip until newline (inclusive of newline)
-                while (i < src.length && src[i] !== '\n') i++;
-                if (i < src.length) out += '\n';
-                continue;
-            }
-            out += ch;
-        }
-        return out;
+    /**
+     * Parse text as an ordered list of entries (see top)
+     * @param {string} text
+     * @param {string} fileName - Name used in locations and diagnostics
+     * @returns {Object[]} Top-level entries, scripted variable declarations are left out
+     */
+    parseAst(text, fileName = null) {
+        this._begin(text, fileName, true);
+        const entries = this._parseEntries(null);
+        this.diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+        return entries;
+    }
+
+    _begin(text, fileName, ast) {
+        this.text        = (text || '').replace(/\r\n?/g, '\n');
+        this.file        = fileName;
+        this.ast         = ast;
+        this.diagnostics = [];
+        this.variables   = {};
+        this._lex(this.text);
+    }
+
+    /* ---------- Lexer ---------- */
+
+    /**
+     * Start reading tokens from src
+     *
+     * Tokens are read one at a time while parsing (see _peek/_next), in a single pass over the text:
+     * whitespace and '#' comments are skipped as they come and lines are counted on the way, so there's
+     * no comment-stripped copy of the text and no token array.
+     * @param {string} src - Text with '\n' line endings
+     * @private
+     */
+    _lex(src) {
+        this.src       = src;
+        this.pos       = 0;
+        this.line      = 1;
+        this.lineStart = 0; // index of the first character of this.line
+        this.lookahead = undefined;
+    }
+
+    _peek() {
+        if (this.lookahead === undefined) this.lookahead = this._readToken();
+        return this.lookahead;
     }
 
-    _tokenize(src) {
-        const tokens       = [];
-        const isWhitespace = c => /\s/.test(c);
-        const specials     = new Set(['{', '}', '=', '>', '<', '!', '"']);
-        let i              = 0, L = src.length;
+    _next() {
+        const tk       = this._peek();
+        this.lookahead = undefined;
+        return tk;
+    }
+
+    /**
+     * Read the token at this.pos
+     * @returns {Object|null} { type, value, file, line, column }, null at the end of the text
+     * @private
+     */
+    _readToken() {
+        const src = this.src;
+        const L   = src.length;
+        let i     = this.pos;
+
+        // whitespace and comments
         while (i < L) {
-            const ch = src[i];
-            if (isWhitespace(ch)) {
-                i++;
-                continue;
-            }
-            if (ch === '{') {
-                tokens.push({type: '{', value: '{'});
+            const c = src.charCodeAt(i);
+            if (c === 10) {
                 i++;
-                continue;
-            }
-            if (ch === '}') {
-                tokens.push({type: '}', value: '}'});
-                i++;
-                continue;
-            }
-            if (ch === '=') {
-                tokens.push({type: '=', value: '='});
+                this.line++;
+                this.lineStart = i;
+            } else if (c === 35) {
+                // '#' comment, up to the end of the line
+                i = src.indexOf('\n', i);
+                if (i === -1) i = L;
+            } else if (ParadoxParser._isWhitespace(c)) {
                 i++;
-                continue;
+            } else {
+                break;
             }
-            if (ch === '"') {
-                // read quoted string, support escaping \" and \\;
-                let j = i + 1, str = '';
-                while (j < L) {
-                    if (src[j] === '"') {
-                        // count backslashes before quote
-                        let k = j - 1, bs = 0;
-                        while (k >= 0 && src[k] === '\\') {
-                            bs++;
-                            k--;
-                        }
-                        if (bs % 2 === 0) {
-                            j++;
-                            break;
-                        }
-                    }
-                    str += src[j++];
-                }
-                tokens.push({type: 'string', value: str});
-                i = j;
-                continue;
+        }
+        if (i >= L) {
+            this.pos = L;
+            return null;
+        }
+
+        const c  = src.charCodeAt(i);
+        const tk = {type: null, value: null, file: this.file, line: this.line, column: i - this.lineStart + 1};
+
+        if (c === 123 || c === 125 || c === 61) {
+            // { } =
+            tk.type  = tk.value = src[i];
+            this.pos = i + 1;
+            return tk;
+        }
+
+        if (c === 34) {
+            // quoted string, \" doesn't close it
+            let j = src.indexOf('"', i + 1);
+            while (j !== -1) {
+                let bs = 0;
+                while (src.charCodeAt(j - 1 - bs) === 92) bs++;
+                if (bs % 2 === 0) break;
+                j = src.indexOf('"', j + 1);
             }
-            if (ch === '>' || ch === '<' || ch === '!') {
-                let op = ch;
-                if (i + 1 < L && src[i + 1] === '=') {
-                    op += '=';
-                    i += 2;
-                } else {
-                    i += 1;
+            tk.type  = 'string';
+            tk.value = src.slice(i + 1, j === -1 ? L : j);
+            if (j === -1) this._diagnose('error', 'Unterminated string', tk);
+            this._skipTo(i, j === -1 ? L : j + 1);
+            return tk;
+        }
+
+        if (c === 64 && (src[i + 1] === '[' || (src[i + 1] === '\\' && src[i + 2] === '['))) {
+            // inline math: @[ expression ] (older files use @\[ expression ]), comments in it are left out
+            const open = src.indexOf('[', i);
+            let value  = '';
+            let j      = open + 1;
+            let end    = -1;
+            while (j < L) {
+                const close   = src.indexOf(']', j);
+                const comment = src.indexOf('#', j);
+                if (comment !== -1 && (close === -1 || comment < close)) {
+                    value += src.slice(j, comment);
+                    j      = src.indexOf('\n', comment);
+                    if (j === -1) j = L;
+                    continue;
                 }
-                tokens.push({type: 'op', value: op});
-                continue;
+                value += src.slice(j, close === -1 ? L : close);
+                end    = close;
+                break;
             }
-            // read a word/number: anything until whitespace or one of { } = > < ! "
-            let j = i;
-            while (j < L && !isWhitespace(src[j]) && !specials.has(src[j])) j++;
-            const word = src.slice(i, j);
-            if (/^-?\d+(\.\d+)?$/.test(word)) tokens.push({type: 'number', value: word});
-            else tokens.push({type: 'word', value: word});
-            i = j;
+            tk.type  = 'math';
+            tk.value = value.trim();
+            if (end === -1) this._diagnose('error', "Unterminated inline math '@['", tk);
+            this._skipTo(i, end === -1 ? L : end + 1);
+            return tk;
         }
-        return tokens;
+
+        if (c === 62 || c === 60 || c === 33) {
+            // > < ! and >= <= !=
+            const op = src.charCodeAt(i + 1) === 61 ? src.slice(i, i + 2) : src[i];
+            tk.type  = 'op';
+            tk.value = op;
+            this.pos = i + op.length;
+            return tk;
+        }
+
+        // word or number: anything up to whitespace, a comment or one of { } = > < ! "
+        let j = i + 1;
+        while (j < L && !ParadoxParser._endsWord(src.charCodeAt(j))) j++;
+        tk.value = src.slice(i, j);
+        tk.type  = (c === 45 || (c >= 48 && c <= 57)) && /^-?\d+(\.\d+)?$/.test(tk.value) ? 'number' : 'word';
+        this.pos = j;
+        return tk;
     }
 
-    _peek() {
-        return this.tokens[this.idx];
+    /**
+     * Move to index end, counting the lines from index start
+     * @private
+     */
+    _skipTo(start, end) {
+        let n = this.src.indexOf('\n', start);
+        while (n !== -1 && n < end) {
+            this.line++;
+            this.lineStart = n + 1;
+            n              = this.src.indexOf('\n', n + 1);
+        }
+        this.pos = end;
     }
 
-    _next() {
-        return this.tokens[this.idx++];
+    /**
+     * Same characters as /\s/
+     * @private
+     */
+    static _isWhitespace(c) {
+        if (c <= 32) return c === 32 || (c >= 9 && c <= 13);
+        if (c < 160) return false;
+        return c === 160 || c === 5760 || (c >= 8192 && c <= 8202) || c === 8232 || c === 8233
+            || c === 8239 || c === 8287 || c === 12288 || c === 65279;
+    }
+
+    /**
+     * Characters ending a word: whitespace, '#' and { } = > < ! "
+     * @private
+     */
+    static _endsWord(c) {
+        switch (c) {
+            case 123: case 125: case 61: case 62: case 60: case 33: case 34: case 35:
+                return true;
+            default:
+                return ParadoxParser._isWhitespace(c);
+        }
+    }
+
+    /* ---------- Diagnostics / locations ---------- */
+
+    _diagnose(severity, message, at) {
+        this.diagnostics.push({
+            severity,
+            message,
+            file  : at ? at.file : this.file,
+            line  : at ? at.line : 0,
+            column: at ? at.column : 0,
+        });
+    }
+
+    _warnSkipped(tk) {
+        if (tk.type === '}') this._diagnose('error', "Unbalanced '}' without matching '{'", tk);
+        else this._diagnose('warning', `Skipped unexpected token '${tk.value}'`, tk);
     }
 
-    _assign(obj, key, value) {
+    _tokenLocation(tk) {
+        return {file: tk.file, line: tk.line, column: tk.column};
+    }
+
+    _track(node, location) {
+        ParadoxParser.locations.set(node, {location, keys: {}});
+        return node;
+    }
+
+    _trackKey(node, key, location) {
+        const entry = ParadoxParser.locations.get(node);
+        if (entry && !entry.keys[key]) {
+            entry.keys[key] = this._tokenLocation(location);
+        }
+    }
+
+    _assign(obj, keyToken, value) {
+        const key = keyToken.value;
+        this._trackKey(obj, key, keyToken);
         if (Object.prototype.hasOwnProperty.call(obj, key)) {
             if (!Array.isArray(obj[key])) obj[key] = [obj[key]];
             obj[key].push(value);
@@ -149,54 +415,90 @@ class ParadoxParser {
 
     /* ---------- Parser ---------- */
 
-    _parseValue() {
+    /**
+     * Parse the value after '='
+     * @param {Object} eqToken - The '=' token, for diagnostics
+     * @returns {*} Parsed value, or undefined when the value is missing
+     * @private
+     */
+    _parseValue(eqToken) {
         const tk = this._peek();
-        if (!tk) return null;
+        if (!tk || tk.type === '}' || tk.type === '=') {
+            // dangling '=': leave the token for the enclosing block
+            this._diagnose('error', `Missing value after '${eqToken.value}'`, eqToken);
+            return undefined;
+        }
         if (tk.type === '{') {
             this._next(); // consume '{'
-            return this._parseBlock();
-        }
-        if (tk.type === 'string') {
-            this._next();
-            return tk.value;
-        }
-        if (tk.type === 'number') {
-            this._next();
-            return Number(tk.value);
+            return this.ast ? this._parseEntries(tk) : this._parseBlock(tk);
         }
+        return this._literal(this._next());
+    }
+
+    /**
+     * Value of a single token: numbers, yes/no, scripted variables and inline math are resolved
+     * @private
+     */
+    _literal(tk) {
+        if (tk.type === 'number') return Number(tk.value);
         if (tk.type === 'word') {
             const w = tk.value;
-            this._next();
             if (w === 'yes') return true;
             if (w === 'no') return false;
+            if (w.startsWith('@')) return this._resolveVariable(tk);
             return w;
         }
-        if (tk.type === 'op') {
-            this._next();
-            return tk.value;
-        }
-        // fallback
-        this._next();
+        if (tk.type === 'math') return this._evaluateMath(tk);
+        // strings, and operators used as a value
         return tk.value;
     }
 
-    _parseBlock() {
+    _parseBlock(openToken) {
+        const {obj, list} = this._parseBlockContent(openToken);
+
+        const hasObjProps = Object.keys(obj).length > 0;
+        if (!hasObjProps) return this._track(list, this._tokenLocation(openToken)); // pure list -> return array (e.g. tags)
+        if (list.length) obj.items = list;          // mixed block -> keep keyed props and an items array
+        return obj;
+    }
+
+    /**
+     * Parse the content of a block, or of the whole text when openToken is null (an inline script)
+     * @param {Object|null} openToken - The '{' token opening the block
+     * @returns {Object} { obj: keyed values, list: bare items and comparisons }
+     * @private
+     */
+    _parseBlockContent(openToken) {
         const obj  = {};
         const list = [];
+        this._track(obj, openToken ? this._tokenLocation(openToken) : {file: this.file, line: 1, column: 1});
         while (true) {
             const tk = this._peek();
-            if (!tk) break; // EOF inside block
+            if (!tk) {
+                // EOF inside block
+                if (openToken) {
+                    this._diagnose('error', `Unbalanced '{' opened at line ${openToken.line}, column ${openToken.column} is never closed`, openToken);
+                }
+                break;
+            }
+            if (tk.type === '}' && !openToken) {
+                this._warnSkipped(this._next());
+                continue;
+            }
             if (tk.type === '}') {
                 this._next();
                 break;
             } // consume '}'
             if (tk.type === 'word') {
-                const name = this._next().value;
-                const nxt  = this._peek();
+                const nameToken = this._next();
+                const name      = nameToken.value;
+                const nxt       = this._peek();
                 if (nxt && nxt.type === '=') {
                     this._next(); // consume '='
-                    const val = this._parseValue();
-                    this._assign(obj, name, val);
+                    const val = this._parseValue(nxt);
+                    if (val === undefined) continue;
+                    if (!openToken && name.startsWith('@')) this.variables[name] = val; // scripted variable declaration
+                    else if (!this._expandInto(obj, list, nameToken, val)) this._assign(obj, nameToken, val);
                     continue;
                 }
                 if (nxt && nxt.type === 'op') {
@@ -208,7 +510,7 @@ class ParadoxParser {
                             repr = `${name} ${op} "${operand.value}"`;
                             this._next();
                         } else {
-                            repr = `${name} ${op} ${operand.value}`;
+                            repr = `${name} ${op} ${this._resolveOperand(operand)}`;
                             this._next();
                         }
                     } else repr = `${name} ${op}`;
@@ -217,16 +519,16 @@ class ParadoxParser {
                 }
                 if (nxt && nxt.type === '{') {
                     // non-standard "name { ... }" without '=' ; treat as assignment
-                    const val = this._parseValue(); // parseValue will see '{' and parse block
-                    this._assign(obj, name, val);
+                    const val = this._parseValue(nxt); // parseValue will see '{' and parse block
+                    this._assign(obj, nameToken, val);
                     continue;
                 }
                 // bare token -> list item
-                list.push(name);
+                list.push(name.startsWith('@') ? this._resolveVariable(nameToken) : name);
                 continue;
             }
             if (tk.type === '{') {
-                const val = this._parseValue(); // parse nested anonymous block
+                const val = this._parseValue(tk); // parse nested anonymous block
                 list.push(val);
                 continue;
             }
@@ -239,13 +541,243 @@ class ParadoxParser {
                 list.push(Number(this._next().value));
                 continue;
             }
+            if (tk.type === 'math') {
+                list.push(this._evaluateMath(this._next()));
+                continue;
+            }
+            if (tk.type === '=') {
+                // '=' without a key in front of it
+                this._warnSkipped(this._next());
+                continue;
+            }
             // ops or others
             list.push(this._next().value);
         }
+        return {obj, list};
+    }
 
-        const hasObjProps = Object.keys(obj).length > 0;
-        if (!hasObjProps) return list;              // pure list -> return array (e.g. tags)
-        if (list.length) obj.items = list;          // mixed block -> keep keyed props and an items array
-        return obj;
+    /**
+     * Parse the entries of a block, or of the whole file when openToken is null (see parseAst())
+     * @param {Object|null} openToken - The '{' token opening the block
+     * @returns {Object[]} Entries
+     * @private
+     */
+    _parseEntries(openToken) {
+        const entries = [];
+        while (true) {
+            const tk = this._peek();
+            if (!tk) {
+                if (openToken) {
+                    this._diagnose('error', `Unbalanced '{' opened at line ${openToken.line}, column ${openToken.column} is never closed`, openToken);
+                }
+                break;
+            }
+            this._next();
+            if (tk.type === '}' && openToken) break;
+            if (tk.type === '}' || tk.type === '=' || tk.type === 'op') {
+                this._warnSkipped(tk);
+                continue;
+            }
+
+            const location = this._tokenLocation(tk);
+            if (tk.type === '{') {
+                // anonymous block
+                entries.push({key: null, operator: null, value: this._parseEntries(tk), location});
+                continue;
+            }
+
+            const nxt = this._peek();
+            if (tk.type === 'word' && nxt && (nxt.type === '=' || nxt.type === 'op')) {
+                this._next(); // consume the operator
+                const value = this._parseValue(nxt);
+                if (value === undefined) continue;
+                if (!openToken && nxt.type === '=' && tk.value.startsWith('@')) {
+                    this.variables[tk.value] = value; // scripted variable declaration
+                    continue;
+                }
+                const expanded = nxt.type === '=' ? this._inlineScript(tk, value) : undefined;
+                if (expanded) entries.push(...expanded);
+                else entries.push({key: tk.value, operator: nxt.value, value, location});
+                continue;
+            }
+            if (tk.type === 'word' && nxt && nxt.type === '{') {
+                // non-standard "name { ... }" without '='
+                entries.push({key: tk.value, operator: '=', value: this._parseValue(nxt), location});
+                continue;
+            }
+
+            // bare item
+            entries.push({key: null, operator: null, value: this._literal(tk), location});
+        }
+        return entries;
+    }
+
+    /* ---------- Inline scripts ---------- */
+
+    /**
+     * Expand an inline script into a block being parsed by parse(), see _inlineScript()
+     * @param {Object} obj - Keyed values of the block
+     * @param {Array|null} list - Bare items of the block, null at the top level (where they're keys set to yes)
+     * @param {Object} keyToken - Key of the assignment
+     * @param {*} value - Value of the assignment
+     * @returns {boolean} Whether it was an inline script that got expanded
+     * @private
+     */
+    _expandInto(obj, list, keyToken, value) {
+        const expanded = this._inlineScript(keyToken, value);
+        if (!expanded) return false;
+
+        for (const [key, parsed] of Object.entries(expanded.obj)) {
+            const keyLocation = ParadoxParser.locationOf(expanded.obj, key) || this._tokenLocation(keyToken);
+            // repeated keys are arrays not tracked as blocks, see ParadoxWriter
+            const values = Array.isArray(parsed) && !ParadoxParser.locations.has(parsed) ? parsed : [parsed];
+            for (const item of values) this._assign(obj, {value: key, ...keyLocation}, item);
+        }
+        for (const item of expanded.list) {
+            if (list) list.push(item);
+            else if (typeof item === 'string') this._assign(obj, {value: item, ...this._tokenLocation(keyToken)}, true);
+        }
+        return true;
     }
+
+    /**
+     * Parse the inline script of an "inline_script = ..." assignment, with its parameters substituted
+     * @param {Object} keyToken - Key of the assignment
+     * @param {*} value - Script name, or block with the script name and parameters
+     * @returns {Object|Object[]|undefined} Parsed script as block content ({ obj, list }, see _parseBlockContent(),
+     *                                      entries in AST mode), undefined if it isn't one or is unknown
+     * @private
+     */
+    _inlineScript(keyToken, value) {
+        if (keyToken.value !== 'inline_script') return undefined;
+
+        const block = this.ast && Array.isArray(value)
+            ? Object.fromEntries(value.filter(entry => entry.key !== null).map(entry => [entry.key, entry.value]))
+            : value;
+        const name  = typeof block === 'string' ? block : block && block.script;
+        if (typeof name !== 'string') {
+            this._diagnose('warning', "Inline script without a 'script' name", keyToken);
+            return undefined;
+        }
+        if (!Object.prototype.hasOwnProperty.call(this.inlineScripts, name)) {
+            this._diagnose('warning', `Unknown inline script '${name}'`, keyToken);
+            return undefined;
+        }
+        if (this.including.includes(name)) {
+            this._diagnose('error', `Inline script '${name}' includes itself`, keyToken);
+            return undefined;
+        }
+
+        const parameters = {};
+        if (typeof block === 'object') {
+            for (const [key, parameter] of Object.entries(block)) {
+                if (key !== 'script') parameters[key] = parameter === true ? 'yes' : parameter === false ? 'no' : parameter;
+            }
+        }
+        const {text, missing} = ParadoxParser.substituteParameters(this.inlineScripts[name], parameters);
+        for (const parameter of missing) {
+            this._diagnose('warning', `Inline script '${name}' has no value for parameter '${parameter}'`, keyToken);
+        }
+
+        // The script is parsed on its own, seeing the variables of the file it's used in
+        const parser           = new this.constructor();
+        parser.globalVariables = {...this.globalVariables, ...this.variables};
+        parser.inlineScripts   = this.inlineScripts;
+        parser.including       = [...this.including, name];
+
+        // as the content of the block it's used in: comparisons and bare items stay what they are there
+        parser._begin(text, `common/inline_scripts/${name}.txt`, this.ast);
+        const parsed = this.ast ? parser._parseEntries(null) : parser._parseBlockContent(null);
+        this.diagnostics.push(...parser.diagnostics);
+        return parsed;
+    }
+
+    /* ---------- Scripted variables ---------- */
+
+    _lookupVariable(name) {
+        if (Object.prototype.hasOwnProperty.call(this.variables, name)) return this.variables[name];
+        if (Object.prototype.hasOwnProperty.call(this.globalVariables, name)) return this.globalVariables[name];
+        return undefined;
+    }
+
+    _resolveVariable(tk) {
+        const value = this._lookupVariable(tk.value);
+        if (value === undefined) {
+            this._diagnose('warning', `Unknown scripted variable '${tk.value}'`, tk);
+            return tk.value;
+        }
+        return value;
+    }
+
+    _resolveOperand(tk) {
+        if (tk.type === 'math') return this._evaluateMath(tk);
+        if (tk.type === 'word' && tk.value.startsWith('@')) return this._resolveVariable(tk);
+        return tk.value;
+    }
+
+    /**
+     * Evaluate an inline math expression: numbers, variables (with or without '@'),
+     * + - * / %, unary minus and parentheses
+     * @param {Object} tk - 'math' token
+     * @returns {number|string} Result, or the original "@[ ... ]" text if it can't be evaluated
+     * @private
+     */
+    _evaluateMath(tk) {
+        const parts = tk.value.match(/\d+(?:\.\d+)?|@?[A-Za-z_][\w.]*|[-+*\/%()]|\S/g) || [];
+        let pos     = 0;
+        const fail  = (message) => {
+            throw new Error(message);
+        };
+
+        const primary = () => {
+            const part = parts[pos++];
+            if (part === undefined) fail('unexpected end of expression');
+            if (part === '(') {
+                const value = sum();
+                if (parts[pos++] !== ')') fail("missing ')'");
+                return value;
+            }
+            if (part === '-') return -primary();
+            if (part === '+') return primary();
+            if (/^\d/.test(part)) return Number(part);
+            if (/^@?[A-Za-z_]/.test(part)) {
+                const name  = part.startsWith('@') ? part : '@' + part;
+                const value = this._lookupVariable(name);
+                if (typeof value !== 'number') fail(`unknown variable '${name}'`);
+                return value;
+            }
+            return fail(`unexpected '${part}'`);
+        };
+        const product = () => {
+            let value = primary();
+            while (parts[pos] === '*' || parts[pos] === '/' || parts[pos] === '%') {
+                const op  = parts[pos++];
+                const rhs = primary();
+                value     = op === '*' ? value * rhs : op === '/' ? value / rhs : value % rhs;
+            }
+            return value;
+        };
+        const sum = () => {
+            let value = product();
+            while (parts[pos] === '+' || parts[pos] === '-') {
+                const op  = parts[pos++];
+                const rhs = product();
+                value     = op === '+' ? value + rhs : value - rhs;
+            }
+            return value;
+        };
+
+        try {
+            const value = sum();
+            if (pos < parts.length) fail(`unexpected '${parts[pos]}'`);
+            return value;
+        } catch (error) {
+            this._diagnose('warning', `Can't evaluate inline math '@[ ${tk.value} ]': ${error.message}`, tk);
+            return `@[ ${tk.value} ]`;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParadoxParser;
 }
@@ -1,25 +1,29 @@
+/**
+ * EthicsBuilder
+ *
+ * Builds ethic definitions from common/ethics/*.txt. Everything is taken from the ethics themselves:
+ * - cost
+ * - category: ethics of the same category with another category_value are opposites
+ *   (ethic_authoritarian and ethic_egalitarian are both "col", with category_value 0 and 2)
+ * - fanatic_variant/regular_variant: the fanatic and regular version of an ethic exclude each other
+ * - gestalt: ethics without variants that are alone in their category, or have none (ethic_gestalt_consciousness)
+ *
+ * The allowed authorities are the ones whose possible ethics block accepts the ethic.
+ * The ethic_categories block of the ethics files declares the categories, it isn't an ethic.
+ */
 class EthicsBuilder {
-    constructor() {
-        // static opposites map
-        this.opposites = {
-            ethic_authoritarian: 'ethic_egalitarian',
-            ethic_egalitarian  : 'ethic_authoritarian',
-            ethic_xenophobe    : 'ethic_xenophile',
-            ethic_xenophile    : 'ethic_xenophobe',
-            ethic_militarist   : 'ethic_pacifist',
-            ethic_pacifist     : 'ethic_militarist',
-            ethic_spiritualist : 'ethic_materialist',
-            ethic_materialist  : 'ethic_spiritualist',
-        };
-    }
+    /**
+     * Top-level blocks of the ethics files that aren't ethics
+     */
+    static NOT_ETHICS = ['ethic_categories'];
 
     build(ethicsFile = {}, authoritiesFile = {}) {
-        const defs = {};
-
-        for (const [ethicName, ethicData] of Object.entries(ethicsFile)) {
-            // skip gestalt
-            if (ethicName === 'ethic_gestalt_consciousness') continue;
+        const defs       = {};
+        const ethics     = Object.entries(ethicsFile).filter(([ethicName, ethicData]) =>
+            ethicData && typeof ethicData === 'object' && !EthicsBuilder.NOT_ETHICS.includes(ethicName));
+        const inCategory = (category) => ethics.filter(([, ethicData]) => ethicData.category === category);
 
+        for (const [ethicName, ethicData] of ethics) {
             const cost = this._toNumberOrDefault(ethicData?.cost, 1);
 
             const allowedAuthorities = [];
@@ -38,27 +42,23 @@ class EthicsBuilder {
             const incompatible = new Set();
 
             // regular <-> fanatic
-            if (ethicName.startsWith('ethic_fanatic_')) {
-                const base = ethicName.replace('ethic_fanatic_', '');
-                incompatible.add('ethic_' + base);
-            } else {
-                const base = ethicName.replace('ethic_', '');
-                incompatible.add('ethic_fanatic_' + base);
-            }
-
-            // opposites
-            const baseName = ethicName.startsWith('ethic_fanatic_')
-                ? ethicName.replace('ethic_fanatic_', 'ethic_')
-                : ethicName;
+            const variant = ethicData.fanatic_variant || ethicData.regular_variant;
+            if (typeof variant === 'string') incompatible.add(variant);
 
-            const opposite = this.opposites[baseName];
-            if (opposite) {
-                incompatible.add(opposite);
-                incompatible.add('ethic_fanatic_' + opposite.replace('ethic_', ''));
+            // opposites, and their fanatic variants: same category, other side of it
+            const category = ethicData.category === undefined ? null : String(ethicData.category);
+            for (const [otherName, otherData] of inCategory(ethicData.category)) {
+                if (otherName !== ethicName && category !== null && otherData.category_value !== ethicData.category_value) {
+                    incompatible.add(otherName);
+                }
             }
 
+            const gestalt = !variant && (category === null || inCategory(ethicData.category).length === 1);
+
             defs[ethicName] = {
                 cost,
+                category,
+                gestalt,
                 incompatible_ethics : Array.from(incompatible),
                 required_authorities: allowedAuthorities,
             };
@@ -101,3 +101,7 @@ class EthicsBuilder {
         return def;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EthicsBuilder;
+}
@@ -0,0 +1,163 @@
+/**
+ * GameFiles
+ *
+ * Layered view over the base game archive and an ordered list of mod archives,
+ * following the game's override rules:
+ * - A file at the same path in a later archive replaces the earlier file completely
+ * - Files of a folder are read in filename order, regardless of the archive they come from
+ * - A definition key found in several files of a folder: the last one read wins (LIOS),
+ *   except for the folders in FIRST_IN_ONLY_SERVED where the first one wins (FIOS)
+ *
+ * Archives may contain the game folders at their root ("common/...") or inside a single
+ * wrapping directory ("my_mod/common/..."), which is stripped.
+ */
+class GameFiles {
+    /**
+     * Folders where the first definition read wins
+     */
+    static FIRST_IN_ONLY_SERVED = [
+        'common/scripted_effects/',
+        'common/scripted_triggers/',
+    ];
+
+    /**
+     * Top level game folders, used to find the root of an archive
+     */
+    static GAME_FOLDERS = ['common/', 'localisation/'];
+
+    constructor() {
+        this.archives = [];
+        this.files    = new Map(); // path -> { file, archive }
+        this.read     = new Set(); // paths of the files taken with file(), for the manifest
+    }
+
+    /**
+     * Add an archive on top of the ones added before
+     * @param {JSZip} zip - Archive to add
+     * @param {string} name - Name shown in reports, e.g. the uploaded file name
+     */
+    addArchive(zip, name) {
+        const root = this._findRoot(zip);
+        this.archives.push({zip, name, root});
+
+        for (const file of Object.values(zip.files)) {
+            if (file.dir || !file.name.startsWith(root)) continue;
+            this.files.set(file.name.slice(root.length), {file, archive: name});
+        }
+    }
+
+    /**
+     * Get a file by its path
+     * @param {string} path - Path relative to the game root, e.g. 'common/ethics/00_ethics.txt'
+     * @returns {Object|null} JSZip file object of the winning archive
+     */
+    file(path) {
+        const entry = this.files.get(path);
+        if (!entry) return null;
+
+        this.read.add(path);
+        return entry.file;
+    }
+
+    /**
+     * Get the paths of the files in a folder, in load order
+     * @param {string} folder - Folder path ending with '/', e.g. 'common/traits/'
+     * @param {boolean} recursive - Include files in subfolders
+     * @param {string} extension - File extension
+     * @returns {string[]} Paths sorted by filename
+     */
+    list(folder, recursive = false, extension = '.txt') {
+        const paths = [];
+        for (const path of this.files.keys()) {
+            if (!path.startsWith(folder) || !path.toLowerCase().endsWith(extension)) continue;
+            if (!recursive && path.indexOf('/', folder.length) !== -1) continue;
+            paths.push(path);
+        }
+
+        const fileName = path => path.slice(path.lastIndexOf('/') + 1);
+        return paths.sort((a, b) => {
+            const nameA = fileName(a), nameB = fileName(b);
+            if (nameA !== nameB) return nameA < nameB ? -1 : 1;
+            return a < b ? -1 : a > b ? 1 : 0;
+        });
+    }
+
+    /**
+     * Name of the archive a file was taken from
+     * @param {string} path
+     * @returns {string|null}
+     */
+    archiveOf(path) {
+        const entry = this.files.get(path);
+        return entry ? entry.archive : null;
+    }
+
+    /**
+     * Parse all files of a folder and resolve definitions defined more than once
+     *
+     * Each key is listed under the first file defining it (so the file keeps its slot),
+     * with the definition that wins according to the override rules.
+     *
+     * @param {ParadoxParser} parser - Parser to use
+     * @param {string} folder - Folder path ending with '/'
+     * @param {Function} onFile - Called with the path of each file before parsing it
+     * @returns {Promise<Object>} {
+     *   definitions: {key: definition}, all winning definitions,
+     *   byFile     : {path: {key: definition}},
+     *   slots      : {key: path}, the first file defining the key,
+     *   sources    : {key: path}, the file the winning definition comes from,
+     *   diagnostics: []
+     * }
+     */
+    async parseFolder(parser, folder, onFile = null) {
+        const firstWins   = GameFiles.FIRST_IN_ONLY_SERVED.includes(folder);
+        const byFile      = {};
+        const slots       = Object.create(null); // key -> first file defining it
+        const sources     = Object.create(null); // key -> file the winning definition comes from
+        const winners     = Object.create(null);
+        const diagnostics = [];
+
+        for (const path of this.list(folder)) {
+            if (onFile) onFile(path);
+            const parsed = await parser.parseFile(this.file(path), path);
+            diagnostics.push(...parser.diagnostics);
+            byFile[path] = {};
+
+            for (const [key, definition] of Object.entries(parsed)) {
+                if (!slots[key]) {
+                    slots[key] = path;
+                } else if (firstWins) {
+                    continue;
+                }
+                winners[key] = definition;
+                sources[key] = path;
+            }
+        }
+
+        const definitions = {};
+        for (const [key, path] of Object.entries(slots)) {
+            byFile[path][key] = winners[key];
+            definitions[key]  = winners[key];
+        }
+
+        return {definitions, byFile, slots, sources, diagnostics};
+    }
+
+    _findRoot(zip) {
+        let root = null;
+        for (const name of Object.keys(zip.files)) {
+            for (const folder of GameFiles.GAME_FOLDERS) {
+                const index = name.indexOf(folder);
+                if (index === -1 || (index > 0 && name[index - 1] !== '/')) continue;
+
+                const prefix = name.slice(0, index);
+                if (root === null || prefix.length < root.length) root = prefix;
+            }
+        }
+        return root || '';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameFiles;
+}
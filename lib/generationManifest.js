@@ -0,0 +1,91 @@
+/**
+ * GenerationManifest
+ *
+ * Records where a set of definitions comes from, written as manifest.json next to the output files:
+ * {
+ *   tool        : { name: 'Stellaris Definition Generator', version: '1.0.0' },
+ *   game_version: 'v3.14.1592653' (null when the archive has no launcher-settings.json),
+ *   generated_at: '2026-01-01T12:00:00.000Z',
+ *   options     : { language: 'english', ... },
+ *   inputs      : [{ path: 'common/ethics/00_ethics.txt', archive: 'stellaris.zip', sha256: '...' }]
+ * }
+ *
+ * inputs lists every file the pipeline read (see GameFiles.read), with the archive it was taken from.
+ * The tool name and version come from ToolInfo.
+ */
+class GenerationManifest {
+    /**
+     * Files of the game install holding its version, with the field to read for JSON files
+     */
+    static VERSION_FILES = [
+        {name: 'launcher-settings.json', fields: ['rawVersion', 'version']},
+    ];
+
+    /**
+     * Build the manifest of a run
+     * @param {GameFiles} gameFiles - Archives the definitions were generated from, after the run
+     * @param {Object} options - Options of the run, recorded as given
+     * @returns {Promise<Object>} Manifest, see above
+     */
+    async build(gameFiles, options = {}) {
+        const gameVersion = await this.gameVersion(gameFiles);
+
+        const inputs = [];
+        for (const path of [...gameFiles.read].sort()) {
+            const file = gameFiles.file(path);
+            if (!file) continue;
+            inputs.push({path, archive: gameFiles.archiveOf(path), sha256: await this._sha256(await file.async('uint8array'))});
+        }
+
+        return {
+            tool        : {name: ToolInfo.NAME, version: ToolInfo.VERSION},
+            game_version: gameVersion,
+            generated_at: new Date().toISOString(),
+            options,
+            inputs,
+        };
+    }
+
+    /**
+     * Detect the game version from the launcher files of the base game archive
+     * @param {GameFiles} gameFiles
+     * @returns {Promise<string|null>} Version, e.g. 'v3.14.1592653'
+     */
+    async gameVersion(gameFiles) {
+        const base = gameFiles.archives.length ? gameFiles.archives[0].name : null;
+
+        for (const {name, fields} of GenerationManifest.VERSION_FILES) {
+            const path = [...gameFiles.files.keys()].find(p =>
+                (p === name || p.endsWith('/' + name)) && gameFiles.archiveOf(p) === base);
+            if (!path) continue;
+
+            try {
+                const settings = JSON.parse(await gameFiles.file(path).async('text'));
+                const field    = fields.find(f => typeof settings[f] === 'string');
+                if (field) return settings[field];
+            } catch (error) {
+                // not JSON, try the next file
+            }
+        }
+        return null;
+    }
+
+    async _sha256(data) {
+        const digest = await this._subtle().digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Web Crypto, from the global crypto or, in Node versions without it, from the crypto module
+     * @private
+     */
+    _subtle() {
+        if (typeof crypto !== 'undefined' && crypto.subtle) return crypto.subtle;
+        if (typeof require === 'function') return require('crypto').webcrypto.subtle;
+        throw new Error('SHA-256 hashes need the Web Crypto API (crypto.subtle), only available over https or on localhost');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GenerationManifest;
+}
@@ -0,0 +1,222 @@
+/**
+ * LeaderTraitsBuilder
+ *
+ * Converts starting ruler traits (leader traits with starting_ruler_trait = yes) into the JSON
+ * format needed by the empire generator, grouped into buckets (see BUCKETS):
+ * {
+ *   'leader_trait_charismatic': {
+ *     cost: 1,
+ *     tier: null,
+ *     next_tier: null,
+ *     yes: { class: ['official', 'commander'], ethics: ['ethic_egalitarian'], civics: [], origins: [] },
+ *     no : { ethics: [], civics: [], origins: [], traits: ['leader_trait_abrasive'] }
+ *   }
+ * }
+ *
+ * yes holds leader_class and allowed_ethics/civics/origins, no holds forbidden_ethics/civics/origins
+ * and the leader traits it can't be combined with (opposites, in both directions).
+ *
+ * Tiered traits upgrade into each other (leader_trait_x_2 = { replace_traits = { leader_trait_x } }):
+ * tier is the trait's level in that chain (or its own tier field), next_tier the ID replacing it,
+ * both null for a trait that isn't tiered.
+ */
+class LeaderTraitsBuilder {
+    /**
+     * Default buckets, in output order (set others with the leaderTraitBuckets of the overrides)
+     *
+     * A trait goes in the first bucket matching it. Buckets with a file only take traits from that
+     * file (by file name), the others only take traits from files no bucket names.
+     * - minCost/maxCost: cost range of the bucket
+     * - initialOnly: skip traits with initial = no
+     */
+    static BUCKETS = [
+        {group: 'basegame_leader_traits', initialOnly: true},
+        {group: 'basegame_paragon_traits', file: '10_paragon_traits.txt', minCost: 1},
+        {group: 'basegame_bad_paragon_traits', file: '10_paragon_traits.txt', maxCost: -1},
+        {group: 'basegame_treasure_hunter_traits', file: '14_grand_archive_traits.txt'},
+    ];
+
+    /**
+     * Fields of a bucket and their type
+     */
+    static BUCKET_FIELDS = {
+        group      : 'string',
+        file       : 'string',
+        minCost    : 'number',
+        maxCost    : 'number',
+        initialOnly: 'boolean',
+    };
+
+    /**
+     * Read the buckets from the leaderTraitBuckets of a JSON object
+     * @param {string|Object|Array} json - { leaderTraitBuckets: [...], ... }
+     * @returns {Object[]|null} Buckets, null when there are none
+     * @throws {Error} When the JSON or a bucket is invalid
+     */
+    static parseBuckets(json) {
+        const data    = typeof json === 'string' ? JSON.parse(json) : json;
+        const buckets = data && !Array.isArray(data) ? data.leaderTraitBuckets : undefined;
+        return buckets === undefined || buckets === null ? null : LeaderTraitsBuilder.validateBuckets(buckets);
+    }
+
+    /**
+     * Check buckets read from JSON
+     * @param {*} buckets
+     * @returns {Object[]} The buckets
+     * @throws {Error} When they aren't a list of buckets, or a bucket has an unknown or mistyped field
+     */
+    static validateBuckets(buckets) {
+        if (!Array.isArray(buckets)) throw new Error('leaderTraitBuckets must be a list');
+
+        buckets.forEach((bucket, index) => {
+            if (!bucket || typeof bucket !== 'object' || Array.isArray(bucket)) {
+                throw new Error(`Leader trait bucket ${index + 1}: must be an object`);
+            }
+            if (typeof bucket.group !== 'string' || !/^[A-Za-z_]\w*$/.test(bucket.group)) {
+                throw new Error(`Leader trait bucket ${index + 1}: group must be a name`);
+            }
+            for (const [field, value] of Object.entries(bucket)) {
+                const type = LeaderTraitsBuilder.BUCKET_FIELDS[field];
+                if (!type) throw new Error(`Leader trait bucket ${index + 1} (${bucket.group}): unknown field '${field}'`);
+                if (typeof value !== type) {
+                    throw new Error(`Leader trait bucket ${index + 1} (${bucket.group}): ${field} must be a ${type}`);
+                }
+            }
+        });
+        return buckets;
+    }
+
+    /**
+     * @param {Object[]} buckets - Buckets to group the traits in, see BUCKETS
+     */
+    constructor(buckets = LeaderTraitsBuilder.BUCKETS) {
+        this.buckets = buckets;
+    }
+
+    /**
+     * Check if a leader trait can be picked for the starting ruler (starting_ruler_trait = yes)
+     * @param {Object} data - Parsed trait data
+     * @returns {boolean}
+     */
+    static isStartingRulerTrait(data) {
+        return data.starting_ruler_trait === true || data.starting_ruler_trait === 'yes';
+    }
+
+    /**
+     * Build the leader trait buckets
+     * @param {Object} parsedData - Parsed leader traits
+     * @param {Function} fileOf - Returns the file name a trait is defined in, by ID
+     * @returns {Object} Trait definitions by bucket group
+     */
+    build(parsedData, fileOf = () => null) {
+        const groups = {};
+        for (const bucket of this.buckets) groups[bucket.group] = {};
+
+        const namedFiles = new Set(this.buckets.map(bucket => bucket.file).filter(Boolean));
+        const replacedBy = this._replacedBy(parsedData);
+        const all        = {};
+
+        for (const [id, data] of Object.entries(parsedData)) {
+            if (!data || typeof data !== 'object' || !LeaderTraitsBuilder.isStartingRulerTrait(data)) continue;
+
+            const def    = this._traitDef(id, data, parsedData, replacedBy);
+            const file   = fileOf(id);
+            const bucket = this.buckets.find(b => this._matches(b, file, namedFiles, data, def));
+            if (!bucket) continue;
+
+            groups[bucket.group][id] = def;
+            all[id]                  = def;
+        }
+
+        this._makeBidirectional(all);
+        return groups;
+    }
+
+    _matches(bucket, file, namedFiles, data, def) {
+        if (bucket.file ? bucket.file !== file : namedFiles.has(file)) return false;
+        if (bucket.minCost !== undefined && def.cost < bucket.minCost) return false;
+        if (bucket.maxCost !== undefined && def.cost > bucket.maxCost) return false;
+        if (bucket.initialOnly && (data.initial === false || data.initial === 'no')) return false;
+        return true;
+    }
+
+    _traitDef(id, data, parsedData, replacedBy) {
+        return {
+            cost     : this._extractCost(data),
+            tier     : this._tier(id, data, parsedData, replacedBy),
+            next_tier: replacedBy[id] || null,
+            yes      : {
+                class  : this._list(data.leader_class),
+                ethics : this._list(data.allowed_ethics),
+                civics : this._list(data.allowed_civics),
+                origins: this._list(data.allowed_origins),
+            },
+            no       : {
+                ethics : this._list(data.forbidden_ethics),
+                civics : this._list(data.forbidden_civics),
+                origins: this._list(data.forbidden_origins),
+                traits : this._list(data.opposites),
+            },
+        };
+    }
+
+    /**
+     * ID of the trait replacing each tiered trait
+     * @private
+     */
+    _replacedBy(parsedData) {
+        const replacedBy = {};
+        for (const [id, data] of Object.entries(parsedData)) {
+            if (!data || typeof data !== 'object') continue;
+            for (const replaced of this._list(data.replace_traits)) replacedBy[replaced] = id;
+        }
+        return replacedBy;
+    }
+
+    /**
+     * Level of a trait in its chain of replace_traits, 1 for the first one
+     * @private
+     */
+    _tier(id, data, parsedData, replacedBy) {
+        if (typeof data.tier === 'number') return data.tier;
+
+        let tier      = 1;
+        const visited = new Set([id]);
+        for (let replaced = this._list(data.replace_traits)[0]; parsedData[replaced] && !visited.has(replaced);
+            replaced = this._list(parsedData[replaced].replace_traits)[0]) {
+            visited.add(replaced);
+            tier++;
+        }
+        return tier === 1 && !replacedBy[id] ? null : tier;
+    }
+
+    _extractCost(data) {
+        if (data.cost === undefined) return 0;
+        if (typeof data.cost === 'number') return data.cost;
+        if (typeof data.cost === 'object' && data.cost.base !== undefined) return parseInt(data.cost.base);
+        return parseInt(data.cost);
+    }
+
+    _list(x) {
+        if (x === undefined || x === null) return [];
+        return (Array.isArray(x) ? x : [x]).filter(v => typeof v === 'string');
+    }
+
+    /**
+     * If trait A opposes trait B, B opposes A too
+     * @private
+     */
+    _makeBidirectional(defs) {
+        for (const [id, def] of Object.entries(defs)) {
+            for (const other of def.no.traits) {
+                if (defs[other] && !defs[other].no.traits.includes(id)) {
+                    defs[other].no.traits.push(id);
+                }
+            }
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeaderTraitsBuilder;
+}
@@ -0,0 +1,168 @@
+/**
+ * LocalisationParser
+ *
+ * Reads Paradox localisation files (localisation/<language>/*_l_<language>.yml):
+ *
+ * l_english:
+ *  civic_beacon_of_liberty:0 "Beacon of Liberty"
+ *  civic_beacon_of_liberty_desc:0 "§YEgalitarian§! ... $civic_tooltip$"
+ *
+ * Keys are collected with add(), text() resolves nested $key$ references and strips
+ * formatting codes (§Y colors §!, £icon£ icons). References to unknown keys (often values the game fills
+ * in, like $NAME$) and cyclic ones are left as they are, and reported in diagnostics
+ * ({ severity, message, file, line, column }, see ParadoxParser).
+ */
+class LocalisationParser {
+    constructor() {
+        this.entries     = {};
+        this.locations   = {}; // key -> { file, line, column } of the entry used
+        this.diagnostics = [];
+        this.reported    = new Set(); // "key reference" already in diagnostics
+    }
+
+    /**
+     * Check if a file is a localisation file for a language
+     * @param {string} path - File path
+     * @param {string} language - Language, e.g. 'english'
+     * @returns {boolean}
+     */
+    static isLanguageFile(path, language) {
+        return path.toLowerCase().endsWith(`_l_${language}.yml`);
+    }
+
+    /**
+     * Parse a localisation file
+     * @param {string} text - File content
+     * @returns {Object} Map of key to raw localised text
+     */
+    parse(text) {
+        const entries = {};
+        for (const {key, value} of this._lines(text)) entries[key] = value;
+        return entries;
+    }
+
+    /**
+     * Add the entries of a file
+     * @param {string} text - File content
+     * @param {boolean} override - Replace existing keys (files in localisation/replace), otherwise the first one wins
+     * @param {string} file - File path, for diagnostics
+     */
+    add(text, override = false, file = null) {
+        for (const {key, value, line, column} of this._lines(text)) {
+            if (override || !Object.prototype.hasOwnProperty.call(this.entries, key)) {
+                this.entries[key]   = value;
+                this.locations[key] = {file, line, column};
+            }
+        }
+    }
+
+    /**
+     * Check if a key is localised
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return Object.prototype.hasOwnProperty.call(this.entries, key);
+    }
+
+    /**
+     * Get the localised text of a key, with references resolved and formatting stripped
+     * @param {string} key
+     * @returns {string|null} Text, or null if the key isn't localised
+     */
+    text(key) {
+        if (!this.has(key)) return null;
+        return this._strip(this._resolve(key, new Set()));
+    }
+
+    /**
+     * Entries of a file, with the position of their key
+     * @private
+     */
+    _lines(text) {
+        const entries = [];
+        const lines   = (text || '').replace(/^\uFEFF/, '').split(/\r\n?|\n/);
+
+        lines.forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            // key:0 "text" (the version number is optional)
+            const match = trimmed.match(/^([\w.\-']+):\d*\s*"(.*)/);
+            const value = match && this._value(match[2]);
+            if (value === null) return;
+
+            entries.push({
+                key   : match[1],
+                value : value.replace(/\\n/g, '\n').replace(/\\"/g, '"'),
+                line  : index + 1,
+                column: line.indexOf(match[1]) + 1,
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Text of an entry: what's after the opening quote, up to the last quote before a comment
+     * (a '#' outside the quotes, the text itself can have quotes)
+     * @param {string} rest - Line after the opening quote
+     * @returns {string|null} Text, null without a closing quote
+     * @private
+     */
+    _value(rest) {
+        let quoted = true;
+        let last   = -1;
+        for (let i = 0; i < rest.length; i++) {
+            const char = rest[i];
+            if (char === '\\') i++; // escaped, e.g. \"
+            else if (char === '"') {
+                quoted = !quoted;
+                last   = i;
+            } else if (char === '#' && !quoted) break;
+        }
+        return last === -1 ? null : rest.slice(0, last);
+    }
+
+    _resolve(key, seen) {
+        seen.add(key);
+
+        // $key$ or $key|Y$ (with formatting) references another key
+        const text = this.entries[key].replace(/\$([^$|\s]+)(\|[^$]*)?\$/g, (match, ref) => {
+            if (!this.has(ref)) {
+                this._unresolved(key, ref, `Localisation key '${key}' references unknown key '${ref}'`);
+                return match;
+            }
+            if (seen.has(ref)) {
+                this._unresolved(key, ref, `Localisation key '${key}' references '${ref}', which references it back`);
+                return match;
+            }
+            return this._resolve(ref, seen);
+        });
+
+        seen.delete(key);
+        return text;
+    }
+
+    /**
+     * Report a reference left in the text, once
+     * @private
+     */
+    _unresolved(key, ref, message) {
+        if (this.reported.has(key + ' ' + ref)) return;
+        this.reported.add(key + ' ' + ref);
+        this.diagnostics.push({severity: 'warning', message, ...(this.locations[key] || {file: null, line: 0, column: 0})});
+    }
+
+    _strip(text) {
+        return text
+            .replace(/§!/g, '')               // end of color
+            .replace(/§./g, '')               // start of color
+            .replace(/£[^£\s]*£/g, '')        // icons
+            .replace(/[ \t]{2,}/g, ' ')
+            .trim();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalisationParser;
+}
@@ -1,4 +1,24 @@
 class OriginsBuilder {
+    /**
+     * Condition tree leaf types to yes/no keys
+     */
+    static REQUIREMENT_KEYS = {
+        ethic            : 'ethics',
+        authority        : 'authorities',
+        civic            : 'civics',
+        species_class    : 'species_class',
+        species_archetype: 'species_archetype',
+        culture          : 'culture',
+    };
+
+    /**
+     * @param {Object} options - { conditionTrees: also emit the full requirement tree as "requirements" }
+     */
+    constructor(options = {}) {
+        this.conditionTrees = !!options.conditionTrees;
+        this.treeBuilder    = new ConditionTreeBuilder();
+    }
+
     build(originsFile = {}, filterFn = null, traitsLookup = null, civicsFiles = []) {
         const defs = {};
         for (const [originName, originData] of Object.entries(originsFile)) {
@@ -10,26 +30,9 @@ class OriginsBuilder {
             const yes = { authorities: [], civics: [], ethics: [], species_class: [], species_archetype: [], culture: [] };
             const no  = { authorities: [], civics: [], ethics: [], species_class: [], species_archetype: [], culture: [] };
 
-            if (originData.potential) {
-                // potential can be a single object or an array of objects (when there are multiple potential blocks)
-                if (Array.isArray(originData.potential)) {
-                    for (const potentialBlock of originData.potential) {
-                        this._extractReqs(potentialBlock, yes, no);
-                    }
-                } else {
-                    this._extractReqs(originData.potential, yes, no);
-                }
-            }
-            if (originData.possible) {
-                // possible can be a single object or an array of objects (when there are multiple possible blocks)
-                if (Array.isArray(originData.possible)) {
-                    for (const possibleBlock of originData.possible) {
-                        this._extractReqs(possibleBlock, yes, no);
-                    }
-                } else {
-                    this._extractReqs(originData.possible, yes, no);
-                }
-            }
+            // potential and possible can be a single object or an array of objects (when there are multiple blocks)
+            const requirements = this.treeBuilder.build(originData.potential, originData.possible);
+            this.treeBuilder.toYesNo(requirements, OriginsBuilder.REQUIREMENT_KEYS, yes, no, ['culture']);
 
             // dedupe small arrays
             yes.authorities = [...new Set(yes.authorities)];
@@ -54,6 +57,7 @@ class OriginsBuilder {
             this._flattenSingleElementGroups(yes);
 
             defs[originName] = { yes, no };
+            if (this.conditionTrees) defs[originName].requirements = requirements;
         }
         
         // Make origin-civic incompatibilities bidirectional
@@ -157,80 +161,6 @@ class OriginsBuilder {
         return forbidden;
     }
 
-    _extractReqs(node, yes, no) {
-        for (const [key, val] of Object.entries(node)) {
-            // Handle cases where the parser created an array due to duplicate keys
-            // (e.g., multiple species_archetype blocks in the same possible section)
-            const values = Array.isArray(val) && typeof val[0] === 'object' && val[0] !== null && !Array.isArray(val[0]) 
-                ? val 
-                : [val];
-            
-            for (const v of values) {
-                if (key === 'ethics') this._handle(v, yes.ethics, no.ethics);
-                else if (key === 'authority' || key === 'authorities') this._handle(v, yes.authorities, no.authorities);
-                else if (key === 'civics') this._handle(v, yes.civics, no.civics);
-                else if (key === 'species_class') this._handle(v, yes.species_class, no.species_class);
-                else if (key === 'species_archetype') this._handle(v, yes.species_archetype, no.species_archetype);
-                else if (key === 'graphical_culture') this._handleCulture(v, yes.culture, no.culture);
-            }
-        }
-    }s
-
-    _handle(block, yesArr, noArr) {
-        if (!block) return;
-
-        // OR means "one of these is required"
-        if (Array.isArray(block.OR)) {
-            // multiple OR blocks
-            for (const orGroup of block.OR) {
-                const group = this._gather(orGroup);
-                if (group.length) yesArr.push(group);
-            }
-        } else if (block.OR) {
-            // single OR block
-            const group = this._gather(block.OR);
-            if (group.length) yesArr.push(group);
-        }
-
-        // NOR and NOT mean "none of these allowed"
-        if (block.NOR) noArr.push(...this._gather(block.NOR));
-        if (block.NOT) noArr.push(...this._gather(block.NOT));
-
-        // Single value requirement
-        if (block.value) {
-            const vals = this._gather(block.value);
-            for (const v of vals) yesArr.push(v);
-        }
-    }
-
-
-    _handleCulture(block, yesArr, noArr) {
-        if (!block) return;
-
-        // OR means "one of these is required"
-        if (Array.isArray(block.OR)) {
-            // multiple OR blocks
-            for (const orGroup of block.OR) {
-                const cultures = this._gather(orGroup);
-                yesArr.push(...cultures);
-            }
-        } else if (block.OR) {
-            // single OR block
-            const cultures = this._gather(block.OR);
-            yesArr.push(...cultures);
-        }
-
-        // NOR and NOT mean "none of these allowed"
-        if (block.NOR) noArr.push(...this._gather(block.NOR));
-        if (block.NOT) noArr.push(...this._gather(block.NOT));
-
-        // Single value requirement
-        if (block.value) {
-            const cultures = this._gather(block.value);
-            yesArr.push(...cultures);
-        }
-    }
-
     _flattenSingleElementGroups(yes) {
         // Flatten OR groups that contain only one element
         // For example: [["auth_hive_mind"]] becomes ["auth_hive_mind"]
@@ -283,3 +213,7 @@ class OriginsBuilder {
         return out;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OriginsBuilder;
+}
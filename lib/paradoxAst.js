@@ -0,0 +1,114 @@
+/**
+ * ParadoxAst
+ *
+ * Query helpers for the entries returned by ParadoxParser.parseAst(), in file order:
+ *
+ * const entries = parser.parseAst(text);
+ * const civic   = ParadoxAst.first(entries, 'civic_example').value;
+ * ParadoxAst.value(civic, 'cost', 0);                          // 2
+ * ParadoxAst.get(civic, 'possible/ethics/OR/value');           // every "value = ..." entry in there
+ * ParadoxAst.findAll(civic, 'host_has_dlc');                   // at any depth
+ * ParadoxAst.findAll(civic, entry => entry.operator === '>');  // every "... > ..." comparison
+ *
+ * Every helper takes a block (an array of entries) and returns [] or null for anything else,
+ * so queries can be chained without checking each step.
+ */
+class ParadoxAst {
+    /**
+     * Check if a value is a block of entries
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isBlock(value) {
+        return Array.isArray(value);
+    }
+
+    /**
+     * Entries of a block with the given key
+     * @param {Object[]} block
+     * @param {string} key
+     * @returns {Object[]} Entries, in file order
+     */
+    static all(block, key) {
+        return ParadoxAst.isBlock(block) ? block.filter(entry => entry.key === key) : [];
+    }
+
+    /**
+     * First entry of a block with the given key
+     * @param {Object[]} block
+     * @param {string} key
+     * @returns {Object|null} Entry
+     */
+    static first(block, key) {
+        return ParadoxAst.all(block, key)[0] || null;
+    }
+
+    /**
+     * Value of the first entry with the given key
+     * @param {Object[]} block
+     * @param {string} key
+     * @param {*} fallback - Returned when there's no such entry
+     * @returns {*} Value
+     */
+    static value(block, key, fallback = undefined) {
+        const entry = ParadoxAst.first(block, key);
+        return entry ? entry.value : fallback;
+    }
+
+    /**
+     * Values of the bare items of a block ({ GESTALT MEGACORP })
+     * @param {Object[]} block
+     * @returns {Array} Values
+     */
+    static items(block) {
+        return ParadoxAst.all(block, null).map(entry => entry.value);
+    }
+
+    /**
+     * Entries at a path of keys, following every entry of a repeated key
+     * @param {Object[]} block
+     * @param {string|string[]} path - Keys separated by '/', e.g. 'possible/ethics/OR'
+     * @returns {Object[]} Entries of the last key, in file order
+     */
+    static get(block, path) {
+        const keys = Array.isArray(path) ? path : path.split('/');
+        let entries = [{value: block}];
+        for (const key of keys) {
+            entries = entries.flatMap(entry => ParadoxAst.all(entry.value, key));
+        }
+        return entries;
+    }
+
+    /**
+     * Entries at any depth matching a key or a test, depth first in file order
+     * @param {Object[]} block
+     * @param {string|Function} match - Key, or function called with each entry
+     * @returns {Object[]} Entries
+     */
+    static findAll(block, match) {
+        const test  = typeof match === 'function' ? match : entry => entry.key === match;
+        const found = [];
+        const visit = (entries) => {
+            for (const entry of entries) {
+                if (test(entry)) found.push(entry);
+                if (ParadoxAst.isBlock(entry.value)) visit(entry.value);
+            }
+        };
+        if (ParadoxAst.isBlock(block)) visit(block);
+        return found;
+    }
+
+    /**
+     * First entry at any depth matching a key or a test, see findAll()
+     * @param {Object[]} block
+     * @param {string|Function} match
+     * @returns {Object|null} Entry
+     */
+    static find(block, match) {
+        return ParadoxAst.findAll(block, match)[0] || null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParadoxAst;
+}
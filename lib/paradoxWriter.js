@@ -0,0 +1,162 @@
+/**
+ * ParadoxWriter
+ *
+ * Writes parsed data back to Paradox script, the inverse of ParadoxParser.parse():
+ * parse(write(parse(text))) gives the same data as parse(text).
+ *
+ * civic_example = {
+ *     potential = { ethics = { NOT = { value = ethic_gestalt_consciousness } } }
+ *     tags = { GESTALT MEGACORP }
+ *     modifier = { factor = 0.5 years_passed > 50 }
+ * }
+ * is read as { civic_example: { potential: {...}, tags: ['GESTALT', 'MEGACORP'], modifier: { factor: 0.5, items: ['years_passed > 50'] } } }
+ * and written back as the same script.
+ *
+ * - true/false are written as yes/no, numbers as they are
+ * - strings are written as words, and quoted when they wouldn't read back as the same string
+ *   ("yes", "5", "two words", ...). The parser keeps escapes in quoted strings, so they're written as read;
+ *   a string with a '"' that isn't escaped (\"), or ending in a single '\', can't be read back and throws
+ * - comparison expressions ("years_passed > 50") in lists are written as comparisons
+ * - "items" of a block are written as its bare entries, unless it was read as a key (items = { ... })
+ * - arrays read from a block ({ A B }) are written as a block, other arrays (read from a key repeated
+ *   in a block) as the key repeated. Mark arrays built by hand as blocks with ParadoxWriter.block()
+ */
+class ParadoxWriter {
+    /**
+     * Arrays marked with block()
+     */
+    static blocks = new WeakSet();
+
+    /**
+     * Comparison expression as read by the parser: name, operator, operand
+     */
+    static COMPARISON = /^[^\s{}=<>!"#]+ (?:[<>!]=?) (?:"[^"]*"|[^\s{}=<>!"#]+)$/;
+
+    /**
+     * Write an array as a block ({ A B }) instead of repeating its key
+     * @param {Array} array
+     * @returns {Array} The same array
+     */
+    static block(array) {
+        ParadoxWriter.blocks.add(array);
+        return array;
+    }
+
+    /**
+     * @param {Object} options - { indent: indentation per level, default a tab }
+     */
+    constructor(options = {}) {
+        this.indent = options.indent === undefined ? '\t' : options.indent;
+    }
+
+    /**
+     * Write top-level definitions
+     * @param {Object} data - Definitions by key, e.g. the result of ParadoxParser.parse()
+     * @returns {string} Paradox script, top-level blocks separated by an empty line
+     */
+    write(data) {
+        const lines = [];
+        for (const [key, value] of Object.entries(data)) {
+            const entry = this._entries(key, value, '', data).join('\n');
+            if (lines.length && (entry.includes('\n') || lines[lines.length - 1].includes('\n'))) lines.push('');
+            lines.push(entry);
+        }
+        return lines.length ? lines.join('\n') + '\n' : '';
+    }
+
+    /**
+     * Lines of "key = value", one per value when the key is repeated
+     * @param {Object} object - Block the entry is in
+     * @private
+     */
+    _entries(key, value, indent, object) {
+        if (key === 'items' && Array.isArray(value) && !ParadoxParser.locationOf(object, 'items')) {
+            return this._items(value, indent).map(item => indent + item);
+        }
+        if (Array.isArray(value) && !this._isBlock(value)) {
+            return value.map(repeated => `${indent}${key} = ${this._value(repeated, indent)}`);
+        }
+        return [`${indent}${key} = ${this._value(value, indent)}`];
+    }
+
+    /**
+     * Value after '='
+     * @private
+     */
+    _value(value, indent) {
+        if (value === true) return 'yes';
+        if (value === false) return 'no';
+        if (typeof value === 'number') return String(value);
+        if (Array.isArray(value)) return this._list(value, indent);
+        if (value && typeof value === 'object') return this._block(value, indent);
+        return this._word(String(value));
+    }
+
+    /**
+     * Entries of a list: comparisons stay comparisons, everything else as a value
+     * @private
+     */
+    _items(array, indent) {
+        return array.map((item, i) => {
+            if (typeof item !== 'string') return this._value(item, indent);
+            if (ParadoxWriter.COMPARISON.test(item)) return item;
+
+            // a word followed by a block would be read as "word = { ... }"
+            const next = array[i + 1];
+            return next && typeof next === 'object' ? `"${item}"` : this._word(item);
+        });
+    }
+
+    _block(object, indent) {
+        const inner = indent + this.indent;
+        const lines = [];
+        for (const [key, value] of Object.entries(object)) lines.push(...this._entries(key, value, inner, object));
+        if (!lines.length) return '{ }';
+
+        // short blocks of a single plain value stay on one line: { value = ethic_militarist }
+        if (lines.length === 1 && !lines[0].includes('\n') && !lines[0].includes('{')) {
+            return `{ ${lines[0].trim()} }`;
+        }
+        return `{\n${lines.join('\n')}\n${indent}}`;
+    }
+
+    _list(array, indent) {
+        if (!array.length) return '{ }';
+
+        // lists of words and numbers stay on one line: { GESTALT MEGACORP }
+        if (array.every(item => typeof item !== 'object' || item === null)) {
+            return `{ ${this._items(array, indent).join(' ')} }`;
+        }
+        const inner = indent + this.indent;
+        return `{\n${this._items(array, inner).map(item => inner + item).join('\n')}\n${indent}}`;
+    }
+
+    _isBlock(array) {
+        return ParadoxWriter.blocks.has(array) || ParadoxParser.locationOf(array) !== null;
+    }
+
+    /**
+     * A string as a word, or quoted when it wouldn't be read back as the same string
+     * @throws {Error} When the string can't be quoted, see top
+     * @private
+     */
+    _word(text) {
+        const bare = text !== ''
+            && !/[\s{}=<>!"#]/.test(text)
+            && !/^-?\d+(\.\d+)?$/.test(text)
+            && text !== 'yes' && text !== 'no'
+            && !text.startsWith('@');
+        if (bare) return text;
+
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\') i++; // escaped character
+            else if (text[i] === '"') throw new Error(`Can't write ${JSON.stringify(text)}: '"' in a string needs a '\\' in front`);
+        }
+        if (/(^|[^\\])(\\\\)*\\$/.test(text)) throw new Error(`Can't write ${JSON.stringify(text)}: it would end the string with '\\"'`);
+        return `"${text}"`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParadoxWriter;
+}
@@ -0,0 +1,954 @@
+/**
+ * DefinitionsPipeline
+ *
+ * Runs the complete generation: reads the game files (see GameFiles), feeds them through
+ * the builders and groups the results into the output files (ethics, authorities, civics, origins, traits, localisation).
+ *
+ * Shared by index.html and the command line entry point (cli.js), so both produce the same output.
+ *
+ * run() returns the definitions grouped per output category:
+ * {
+ *   ethics: { basegame_ethics: {...} },
+ *   civics: { basegame_civics: {...}, hive_civics: {...}, ... },
+ *   ...
+ * }
+ * render() turns that into the file contents, e.g. "basegame_civics = {...}\n\nhive_civics = {...}"
+ *
+ * The definition folders (FOLDERS) are read completely and every definition is routed by its
+ * content rather than by the file it's in: origins have "is_origin = yes", leader traits have
+ * "leader_class"/"starting_ruler_trait", civics are grouped by the authority they require, and so on.
+ * pipeline.report lists the files discovered and the ones ignored because nothing in them was used.
+ *
+ * Parser diagnostics of every file read are collected in pipeline.diagnostics.
+ * Inline scripts (common/inline_scripts) are expanded while parsing, unknown scripts and parameters
+ * without a value are reported there too. Scripted triggers (common/scripted_triggers) used in the
+ * potential/possible blocks of civics and origins are expanded before their requirements are read.
+ *
+ * Civics, origins, traits and authorities are tagged with the DLC they need ("dlc", an array in it
+ * meaning one of) and the DLC they are only available without ("without_dlc"), from host_has_dlc in
+ * their playable and potential blocks. Definitions not available with the owned DLC are left out;
+ * by default every DLC is owned, which leaves out the no-DLC replacements.
+ * pipeline.dlcs lists every DLC found.
+ *
+ * Corrections the game files don't express are applied to each category after building it, see
+ * DefinitionOverrides; pipeline.overrides.report() lists the ones that applied and the ones that didn't.
+ */
+class DefinitionsPipeline {
+    /**
+     * Output categories, in display order
+     * name is the file name without extension (see FORMATS), elementId is the <pre> in index.html
+     * showing the category, idType the name of the ID union type in TypeScript declarations
+     */
+    static OUTPUTS = [
+        {category: 'ethics', name: 'ethics', elementId: 'ethicsOutput', idType: 'EthicId'},
+        {category: 'authorities', name: 'authorities', elementId: 'authoritiesOutput', idType: 'AuthorityId'},
+        {category: 'civics', name: 'civics', elementId: 'allCivicsOutput', idType: 'CivicId'},
+        {category: 'origins', name: 'origins', elementId: 'originsOutput', idType: 'OriginId'},
+        {category: 'traits', name: 'traits', elementId: 'allTraitsOutput', idType: 'TraitId'},
+        {category: 'localisation', name: 'localisation', elementId: 'localisationOutput', idType: null},
+    ];
+
+    /**
+     * Output formats
+     * - script: global variables for script tags (basegame_civics = {...}), what the Empire Generator loads
+     * - esm/cjs: ES module and CommonJS exports of the same variables
+     * - json: one object with every group
+     * - dts: TypeScript declarations of the ES modules, with a union type of every ID;
+     *   dts-cjs and dts-script declare the CommonJS exports and the global variables of the script format
+     */
+    static FORMATS = {
+        script      : {label: 'Script (global variables)', extension: '.js'},
+        esm         : {label: 'ES module', extension: '.mjs'},
+        cjs         : {label: 'CommonJS', extension: '.cjs'},
+        json        : {label: 'JSON', extension: '.json'},
+        dts         : {label: 'TypeScript declarations (ES module)', extension: '.d.mts', declares: 'esm'},
+        'dts-cjs'   : {label: 'TypeScript declarations (CommonJS)', extension: '.d.cts', declares: 'cjs'},
+        'dts-script': {label: 'TypeScript declarations (global variables)', extension: '.d.ts', declares: 'script'},
+    };
+
+    /**
+     * Languages of the game's localisation files
+     */
+    static LANGUAGES = ['english', 'braz_por', 'french', 'german', 'polish', 'russian', 'spanish', 'simp_chinese', 'japanese', 'korean'];
+
+    /**
+     * Folders containing the definitions, every file in them is read
+     */
+    static FOLDERS = {
+        ethics     : 'common/ethics/',
+        authorities: 'common/governments/authorities/',
+        civics     : 'common/governments/civics/',
+        traits     : 'common/traits/',
+    };
+
+    /**
+     * Folder of the inline scripts, read with its subfolders
+     */
+    static INLINE_SCRIPTS = 'common/inline_scripts/';
+
+    /**
+     * Folder of the scripted triggers expanded in the requirements of civics and origins, see ScriptedTriggers
+     */
+    static SCRIPTED_TRIGGERS = 'common/scripted_triggers/';
+
+    /**
+     * Civic groups for civics requiring a specific authority, other civics are basegame civics
+     */
+    static CIVIC_AUTHORITY_GROUPS = {
+        hive_civics     : 'auth_hive_mind',
+        machine_civics  : 'auth_machine_intelligence',
+        corporate_civics: 'auth_corporate',
+    };
+
+    /**
+     * @param {GameFiles} files - Base game and mod archives, in load order
+     * @param {Object} options - {
+     *   language      : localisation language, default 'english',
+     *   conditionTrees: also emit the full requirement tree of civics and origins as "requirements",
+     *   ownedDlcs     : names of the DLC owned (host_has_dlc), default null for all,
+     *   overrides     : corrections applied after the builders, default DefinitionOverrides.DEFAULTS,
+     *   leaderTraitBuckets: buckets of the leader traits, default LeaderTraitsBuilder.BUCKETS,
+     *   onProgress    : called with { stage: 'parse', file } for every file read and { stage: 'build', builder }
+     *                   before building each output category, both with the percent of the run done,
+     *   onCategory    : called with (category, groups) as soon as an output category is built,
+     *   signal        : AbortSignal cancelling the run, run() then rejects with its reason
+     * }
+     */
+    constructor(files, options = {}) {
+        this.files       = files;
+        this.language    = options.language || 'english';
+        this.options     = {conditionTrees: !!options.conditionTrees};
+        this.ownedDlcs   = options.ownedDlcs || null;
+        this.overrides   = new DefinitionOverrides(options.overrides || DefinitionOverrides.DEFAULTS);
+        this.leaderTraitBuckets = options.leaderTraitBuckets || LeaderTraitsBuilder.BUCKETS;
+        this.onProgress  = options.onProgress || null;
+        this.onCategory  = options.onCategory || null;
+        this.signal      = options.signal || null;
+        this.progress    = {done: 0, total: 0};
+        this.dlcs        = new Set(); // every DLC found in host_has_dlc
+        this.treeBuilder = new ConditionTreeBuilder();
+        this.parser      = new ParadoxParser();
+        this.diagnostics = [];
+        this.folders     = new Map(); // folder -> result of GameFiles.parseFolder()
+        this.report      = {discovered: [], ignored: []};
+        this.used        = new Map(); // path -> number of definitions used from it
+    }
+
+    /**
+     * Parse the game files and build all definitions
+     * @returns {Promise<Object>} Definitions grouped by output category
+     */
+    async run() {
+        this.diagnostics = [];
+        this.folders.clear();
+        this.used.clear();
+        this.dlcs.clear();
+        this.overrides = new DefinitionOverrides(this.overrides.overrides);
+
+        this.progress = {done: 0, total: this._countSteps()};
+
+        await this._loadScriptedVariables();
+        await this._loadInlineScripts();
+
+        // Definitions not available with the owned DLC are left out before building
+        const parsedEthics = await this._parseFolder(DefinitionsPipeline.FOLDERS.ethics);
+        const parsedAuths  = this._available(await this._parseFolder(DefinitionsPipeline.FOLDERS.authorities));
+        const civicsFolder = await this._parseFolder(DefinitionsPipeline.FOLDERS.civics);
+        const traitsFolder = await this._parseFolder(DefinitionsPipeline.FOLDERS.traits);
+        const triggers     = new ScriptedTriggers(await this._parseFolder(DefinitionsPipeline.SCRIPTED_TRIGGERS));
+
+        // Scripted triggers (is_gestalt = no, ...) are expanded before anything reads the requirements
+        const routedCivics  = this._routeCivicsFolder(civicsFolder);
+        const parsedCivics  = this._available(this._expandTriggers(routedCivics.parsedCivics, triggers));
+        const parsedOrigins = this._available(this._expandTriggers(routedCivics.parsedOrigins, triggers));
+
+        // Species traits are needed for origins trait inheritance
+        const traitFiles = this._routeTraitsFolder(traitsFolder);
+        for (const key of Object.keys(traitFiles)) {
+            traitFiles[key] = this._available(traitFiles[key]);
+        }
+
+        const ethics      = await this._build('ethics', () => this._buildEthics(parsedEthics, parsedAuths));
+        const authorities = await this._build('authorities', () => this._tagDlc(this._buildAuthorities(parsedAuths), parsedAuths));
+        const civics      = await this._build('civics', () => this._tagDlc(this._buildCivics(parsedCivics), parsedCivics),
+            () => this._tagDlc({civics: new CivicsBuilder(this.options).build(parsedCivics)}, parsedCivics).civics);
+
+        // Pass all civics for origin incompatibility checking
+        // This allows origins to find civics that forbid them
+        const origins = await this._build('origins', () =>
+            this._tagDlc(this._buildOrigins(parsedOrigins, traitFiles.lookup, [parsedCivics]), parsedOrigins));
+
+        const traits = await this._build('traits', () =>
+            this._tagDlc(this._buildTraits(traitFiles), Object.assign({}, ...Object.values(traitFiles))),
+            () => this._tagDlc({traits: new TraitsBuilder().build(traitFiles.lookup)}, traitFiles.lookup).traits);
+
+        const localisation = await this._build('localisation', () =>
+            this._buildLocalisation({ethics, authorities, civics, origins, traits}));
+
+        this._buildReport();
+
+        return {ethics, authorities, civics, origins, traits, localisation};
+    }
+
+    /**
+     * Get the Paradox script each definition was read from, after run()
+     * @param {Object} definitions - Result of run()
+     * @returns {Promise<Object>} { id: { path, archive, line, text } }, text is the whole "id = { ... }" block
+     */
+    async sources(definitions) {
+        const texts   = new Map(); // path -> file text
+        const sources = {};
+
+        for (const [category, groups] of Object.entries(definitions)) {
+            if (category === 'localisation') continue;
+
+            for (const group of Object.values(groups)) {
+                if (Array.isArray(group)) continue;
+
+                for (const id of Object.keys(group)) {
+                    if (sources[id]) continue;
+
+                    const folder = [...this.folders.values()].find(merged => merged.sources[id]);
+                    if (!folder) continue;
+
+                    const path     = folder.sources[id];
+                    const location = ParadoxParser.locationOf(folder.definitions[id]);
+                    if (!location) continue;
+
+                    if (!texts.has(path)) texts.set(path, (await this.files.file(path).async('text')).replace(/\r\n?/g, '\n'));
+                    sources[id] = {path, archive: this.files.archiveOf(path), ...this._sourceBlock(texts.get(path), location)};
+                }
+            }
+        }
+        return sources;
+    }
+
+    /**
+     * Render definitions as the contents of the output files
+     * @param {Object} definitions - Result of run(), categories not built yet are left out
+     * @param {string} format - Output format, see FORMATS
+     * @returns {Object} Map of filename to file content
+     */
+    static render(definitions, format = 'script') {
+        if (!DefinitionsPipeline.FORMATS[format]) throw new Error('Unknown output format: ' + format);
+
+        const json  = defs => JSON.stringify(defs, null, 2);
+        const files = {};
+        for (const output of DefinitionsPipeline.OUTPUTS) {
+            if (!definitions[output.category]) continue; // not built yet, see onCategory
+
+            const category = DefinitionsPipeline._rendered(output.category, definitions[output.category]);
+            const groups   = Object.entries(category);
+            let content;
+
+            if (format === 'json') content = json(category);
+            else if (DefinitionsPipeline.FORMATS[format].declares) {
+                const global = DefinitionsPipeline.FORMATS[format].declares === 'script';
+                content = DefinitionsPipeline._renderDeclarations(groups, output.idType, global);
+            } else {
+                const prefix = {script: '', esm: 'export const ', cjs: 'exports.'}[format];
+                const suffix = format === 'script' ? '' : ';';
+                content = groups.map(([name, defs]) => prefix + name + " = " + json(defs) + suffix).join("\n\n");
+            }
+
+            files[DefinitionsPipeline.filename(output, format)] = content;
+        }
+        return files;
+    }
+
+    /**
+     * Groups of a category as they're rendered: species traits get the incompatible_traits they always had
+     * @private
+     */
+    static _rendered(category, groups) {
+        if (category !== 'traits') return groups;
+        return Object.fromEntries(Object.entries(groups).map(([name, defs]) => [name, Array.isArray(defs)
+            ? defs
+            : Object.fromEntries(Object.entries(defs).map(([id, def]) => [id, TraitsBuilder.withIncompatibleTraits(def)]))]));
+    }
+
+    /**
+     * File name of an output category
+     * @param {Object} output - Entry of OUTPUTS
+     * @param {string} format - Output format, see FORMATS
+     * @returns {string} e.g. 'civics.js'
+     */
+    static filename(output, format = 'script') {
+        return output.name + DefinitionsPipeline.FORMATS[format].extension;
+    }
+
+    /**
+     * TypeScript declarations of an output category: the ID union type and the type of every group
+     * @param {Array} groups - [name, definitions] of the category
+     * @param {string|null} idType - Name of the ID union type
+     * @param {boolean} global - Declare global variables (the script format) instead of module exports
+     * @returns {string}
+     * @private
+     */
+    static _renderDeclarations(groups, idType, global = false) {
+        const exported = global ? '' : 'export ';
+        const literal  = id => JSON.stringify(id);
+        const union    = ids => ids.length ? ids.map(literal).join(' | ') : 'never';
+        const ids      = new Set();
+        for (const [, defs] of groups) {
+            const groupIds = Array.isArray(defs) ? defs.filter(id => typeof id === 'string') : Object.keys(defs);
+            groupIds.forEach(id => ids.add(id));
+        }
+
+        const lines = [];
+        if (idType) {
+            lines.push(`${exported}type ${idType} =`, ...[...ids].map(id => `    | ${literal(id)}`), '    ;', '');
+        }
+
+        for (const [name, defs] of groups) {
+            let type;
+            if (Array.isArray(defs)) {
+                const allIds = idType && defs.length && defs.every(id => ids.has(id));
+                type = allIds ? `${idType}[]` : DefinitionsPipeline._tsType([defs], '');
+            } else {
+                const keys = Object.keys(defs);
+                const key  = idType && keys.length === ids.size ? idType : union(keys);
+                type = `Record<${key}, ${DefinitionsPipeline._tsType(Object.values(defs), '') || '{}'}>`;
+            }
+            lines.push(`${exported}declare const ${name}: ${type};`, '');
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * TypeScript type of JSON values, merging the shapes of all of them
+     * Object keys missing in some of the values are optional.
+     * @param {Array} values - JSON values
+     * @param {string} indent - Indentation of the type
+     * @returns {string} Type, empty if there are no values
+     * @private
+     */
+    static _tsType(values, indent) {
+        const types   = [];
+        const add     = type => { if (!types.includes(type)) types.push(type); };
+        const items   = [];
+        const objects = [];
+        let arrays    = false;
+
+        for (const value of values) {
+            if (value === null) add('null');
+            else if (Array.isArray(value)) { arrays = true; items.push(...value); }
+            else if (typeof value === 'object') objects.push(value);
+            else add(typeof value);
+        }
+
+        if (arrays) {
+            const item = DefinitionsPipeline._tsType(items, indent) || 'unknown';
+            add(item.includes(' | ') ? `(${item})[]` : `${item}[]`);
+        }
+
+        if (objects.length) {
+            const keys = [];
+            objects.forEach(object => Object.keys(object).forEach(key => keys.includes(key) || keys.push(key)));
+
+            const members = keys.map(key => {
+                const present  = objects.filter(object => key in object);
+                const optional = present.length < objects.length ? '?' : '';
+                const name     = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+                return `${indent}    ${name}${optional}: ${DefinitionsPipeline._tsType(present.map(object => object[key]), indent + '    ')};`;
+            });
+            add(keys.length ? `{\n${members.join('\n')}\n${indent}}` : '{}');
+        }
+
+        return types.join(' | ');
+    }
+
+    /**
+     * Number of progress steps of a run: every file read, and building each output category
+     * @private
+     */
+    _countSteps() {
+        const folders = ['common/scripted_variables/', DefinitionsPipeline.SCRIPTED_TRIGGERS, ...Object.values(DefinitionsPipeline.FOLDERS)];
+        return folders.reduce((count, folder) => count + this.files.list(folder).length, 0)
+            + this.files.list(DefinitionsPipeline.INLINE_SCRIPTS, true).length
+            + this._localisationPaths().length
+            + DefinitionsPipeline.OUTPUTS.length;
+    }
+
+    /**
+     * Report a step of the run to onProgress, and stop the run if it was cancelled
+     * @param {Object} event - { stage: 'parse', file } or { stage: 'build', builder }
+     * @private
+     */
+    _progress(event) {
+        if (this.signal) this.signal.throwIfAborted();
+
+        this.progress.done++;
+        if (this.onProgress) {
+            this.onProgress({...event, percent: Math.min(100, Math.round(this.progress.done / this.progress.total * 100))});
+        }
+    }
+
+    /**
+     * Build one output category and apply the overrides to it, then hand it to onCategory
+     * @param {string} category - Output category, see OUTPUTS
+     * @param {Function} build - Returns the groups of the category (or a promise of them)
+     * @param {Function} unfiltered - Returns every definition of the category, also the ones build() leaves
+     *                                out of the groups (include overrides), null when build() leaves none out
+     * @returns {Promise<Object>} Groups of the category
+     * @private
+     */
+    async _build(category, build, unfiltered = null) {
+        this._progress({stage: 'build', builder: category});
+        const groups = this.overrides.apply(await build(), unfiltered);
+        if (this.onCategory) this.onCategory(category, groups);
+        return groups;
+    }
+
+    /**
+     * Parse all files of a folder, once per run
+     * @param {string} folder - Folder path ending with '/'
+     * @returns {Promise<Object>} All definitions of the folder, see GameFiles.parseFolder()
+     * @private
+     */
+    async _parseFolder(folder) {
+        if (!this.folders.has(folder)) {
+            const merged = await this.files.parseFolder(this.parser, folder, path => this._progress({stage: 'parse', file: path}));
+            this.diagnostics.push(...merged.diagnostics);
+            this.folders.set(folder, merged);
+        }
+        return this.folders.get(folder).definitions;
+    }
+
+    /**
+     * Record that a definition is used in the output, for the discovery report
+     * @param {string} folder - Folder the definition was read from
+     * @param {string} key - Definition key
+     * @private
+     */
+    _use(folder, key) {
+        const path = this.folders.get(folder).sources[key];
+        this.used.set(path, (this.used.get(path) || 0) + 1);
+    }
+
+    /**
+     * Cut a block out of a file: from the start of the line with its '{' to the matching '}'
+     * @param {string} text - File text with '\n' line endings
+     * @param {Object} location - Location of the '{', see ParadoxParser.locationOf()
+     * @returns {Object} { line, text }, line is the first line of the block
+     * @private
+     */
+    _sourceBlock(text, location) {
+        let start = 0;
+        for (let line = 1; line < location.line; line++) start = text.indexOf('\n', start) + 1;
+
+        let depth = 0;
+        let i     = start + location.column - 1;
+        for (; i < text.length; i++) {
+            const ch = text[i];
+            if (ch === '#') {
+                i = text.indexOf('\n', i);
+                if (i === -1) i = text.length;
+            } else if (ch === '"') {
+                i = text.indexOf('"', i + 1);
+                if (i === -1) i = text.length;
+            } else if (ch === '{') {
+                depth++;
+            } else if (ch === '}' && --depth === 0) {
+                break;
+            }
+        }
+        return {line: location.line, text: text.slice(start, i + 1)};
+    }
+
+    /**
+     * List the files read from the definition folders, and the ones of which nothing was used
+     * @private
+     */
+    _buildReport() {
+        this.report = {discovered: [], ignored: []};
+        for (const folder of Object.values(DefinitionsPipeline.FOLDERS)) {
+            for (const path of this.files.list(folder)) {
+                const entry = {path, archive: this.files.archiveOf(path), definitions: this.used.get(path) || 0};
+                if (entry.definitions > 0) this.report.discovered.push(entry);
+                else this.report.ignored.push(entry);
+            }
+        }
+    }
+
+    /**
+     * Get the DLC a definition needs, from host_has_dlc in its playable and potential blocks
+     * @param {Object} data - Parsed definition
+     * @returns {Object} { dlc: all of (an array in it: one of), without_dlc: none of }
+     * @private
+     */
+    _dlcRequirements(data) {
+        const yes = {dlc: []};
+        const no  = {dlc: []};
+        this.treeBuilder.toYesNo(this.treeBuilder.build(data.playable, data.potential), {dlc: 'dlc'}, yes, no);
+        return {dlc: [...new Set(yes.dlc)], without_dlc: [...new Set(no.dlc)]};
+    }
+
+    /**
+     * Keep the definitions available with the owned DLC, and note the DLC found
+     * @param {Object} definitions - Parsed definitions
+     * @returns {Object} Available definitions
+     * @private
+     */
+    _available(definitions) {
+        const owns      = name => this.ownedDlcs === null || this.ownedDlcs.includes(name);
+        const available = {};
+
+        for (const [id, data] of Object.entries(definitions)) {
+            const {dlc, without_dlc} = this._dlcRequirements(data);
+            [...dlc.flat(), ...without_dlc].forEach(name => this.dlcs.add(name));
+
+            const hasDlc = dlc.every(entry => Array.isArray(entry) ? entry.some(owns) : owns(entry));
+            if (hasDlc && !without_dlc.some(owns)) available[id] = data;
+        }
+        return available;
+    }
+
+    /**
+     * Add dlc and without_dlc to the definitions of a category
+     * @param {Object} category - Definition groups of a category
+     * @param {Object} sources - Parsed definitions by ID
+     * @private
+     */
+    _tagDlc(category, sources) {
+        for (const defs of Object.values(category)) {
+            if (Array.isArray(defs)) continue;
+
+            for (const [id, def] of Object.entries(defs)) {
+                if (sources[id]) Object.assign(def, this._dlcRequirements(sources[id]));
+            }
+        }
+        return category;
+    }
+
+    /**
+     * Register the global scripted variables (common/scripted_variables/*.txt) with the parser
+     * @private
+     */
+    async _loadScriptedVariables() {
+        for (const path of this.files.list('common/scripted_variables/')) {
+            this._progress({stage: 'parse', file: path});
+            await this.parser.parseFile(this.files.file(path), path);
+            this.diagnostics.push(...this.parser.diagnostics);
+            this.parser.defineVariables(this.parser.variables);
+        }
+    }
+
+    /**
+     * Register the inline scripts (common/inline_scripts and its subfolders) with the parser, expanded wherever they're used
+     * @private
+     */
+    async _loadInlineScripts() {
+        const folder  = DefinitionsPipeline.INLINE_SCRIPTS;
+        const scripts = {};
+        for (const path of this.files.list(folder, true)) {
+            this._progress({stage: 'parse', file: path});
+            scripts[path.slice(folder.length, -'.txt'.length)] = await this.files.file(path).async('text');
+        }
+        this.parser.defineInlineScripts(scripts);
+    }
+
+    _buildEthics(parsedEthics, parsedAuths) {
+        const builder = new EthicsBuilder();
+        const defs    = builder.build(parsedEthics, parsedAuths);
+
+        Object.keys(parsedEthics).forEach(key => this._use(DefinitionsPipeline.FOLDERS.ethics, key));
+        Object.keys(parsedAuths).forEach(key => this._use(DefinitionsPipeline.FOLDERS.authorities, key));
+
+        // Gestalt ethics in their own group
+        const ethics = {basegame_ethics: {}, gestalt_ethics: {}};
+        for (const [id, def] of Object.entries(defs)) {
+            ethics[def.gestalt ? 'gestalt_ethics' : 'basegame_ethics'][id] = def;
+        }
+        return ethics;
+    }
+
+    _buildAuthorities(parsedAuths) {
+        const builder = new AuthoritiesBuilder(this.options);
+        return {basegame_authorities: builder.build(parsedAuths)};
+    }
+
+    /**
+     * Split the civics folder into civics and origins (is_origin = yes)
+     * @param {Object} definitions - All definitions of the civics folder
+     * @returns {Object} { parsedCivics, parsedOrigins }
+     * @private
+     */
+    _routeCivicsFolder(definitions) {
+        const parsedCivics  = {};
+        const parsedOrigins = {};
+        for (const [id, data] of Object.entries(definitions)) {
+            if (!data || typeof data !== 'object') continue;
+
+            if (data.is_origin === true) parsedOrigins[id] = data;
+            else parsedCivics[id] = data;
+            this._use(DefinitionsPipeline.FOLDERS.civics, id);
+        }
+        return {parsedCivics, parsedOrigins};
+    }
+
+    /**
+     * Expand the scripted triggers in the potential and possible blocks of parsed definitions
+     * @param {Object} definitions - Parsed definitions
+     * @param {ScriptedTriggers} triggers
+     * @returns {Object} Copies of the definitions with the triggers expanded
+     * @private
+     */
+    _expandTriggers(definitions, triggers) {
+        const expanded = {};
+        for (const [id, data] of Object.entries(definitions)) {
+            expanded[id] = {...data};
+            for (const key of ['potential', 'possible']) {
+                if (data[key] !== undefined) expanded[id][key] = triggers.expand(data[key]);
+            }
+        }
+        return expanded;
+    }
+
+    /**
+     * Get the authorities a civic requires (plain values and OR groups in potential/possible)
+     * @param {Object} civicData - Parsed civic data
+     * @returns {Set<string>} Authority IDs
+     * @private
+     */
+    _requiredAuthorities(civicData) {
+        const authorities = new Set();
+        const gather      = (x) => {
+            if (typeof x === 'string') authorities.add(x);
+            else if (Array.isArray(x)) x.forEach(gather);
+            else if (x && typeof x === 'object' && 'value' in x) gather(x.value);
+        };
+
+        for (const block of [civicData.potential, civicData.possible]) {
+            const blocks = Array.isArray(block) ? block : [block];
+            for (const b of blocks) {
+                if (!b || !b.authority) continue;
+
+                const authorityBlocks = Array.isArray(b.authority) ? b.authority : [b.authority];
+                for (const authority of authorityBlocks) {
+                    if (!authority || typeof authority !== 'object') continue;
+                    gather(authority.value);
+                    gather(authority.OR);
+                }
+            }
+        }
+        return authorities;
+    }
+
+    _buildCivics(parsedCivics) {
+        const civicsBuilder = new CivicsBuilder(this.options);
+        const groups        = DefinitionsPipeline.CIVIC_AUTHORITY_GROUPS;
+
+        // Civics requiring the hive mind, machine intelligence or corporate authority go in their own group
+        const groupOf = (civicData) => {
+            const authorities = this._requiredAuthorities(civicData);
+            return Object.keys(groups).filter(group => authorities.has(groups[group]));
+        };
+
+        const civics = {
+            basegame_civics: civicsBuilder.build(parsedCivics, (civicName, civicData) => groupOf(civicData).length === 0),
+        };
+        for (const group of Object.keys(groups)) {
+            civics[group] = civicsBuilder.build(parsedCivics, (civicName, civicData) => groupOf(civicData).includes(group));
+        }
+
+        // Individualistic machines, from the civics available to regular and corporate empires
+        civics.individualistic_machines = Object.entries(parsedCivics)
+            .filter(([civicName, civicData]) => {
+                const civicGroups = groupOf(civicData);
+                return civicGroups.every(group => group === 'corporate_civics');
+            })
+            .filter(([civicName, civicData]) => this._isIndividualisticMachine(civicName, civicData))
+            .map(([civicName]) => civicName);
+
+        return civics;
+    }
+
+    /**
+     * Check if a civic is individualistic machine
+     * @param {string} civicName - Civic ID
+     * @param {Object} civicData - Parsed civic data
+     * @returns {boolean} True if the civic is for individualistic machines
+     * @private
+     */
+    _isIndividualisticMachine(civicName, civicData) {
+        // Check if name contains "individual"
+        if (civicName.toLowerCase().includes('individual')) {
+            return true;
+        }
+
+        // Check if requires MACHINE species_archetype AND forbids gestalt consciousness
+        let requiresMachine = false;
+        let forbidsGestalt  = false;
+
+        for (const block of [civicData.potential, civicData.possible]) {
+            if (!block) continue;
+
+            if (block.species_archetype) {
+                const archetype = block.species_archetype;
+                if (archetype.value === 'MACHINE') {
+                    requiresMachine = true;
+                }
+            }
+            if (block.ethics) {
+                const ethics = block.ethics;
+                if (ethics.NOT) {
+                    const notEthics = Array.isArray(ethics.NOT) ? ethics.NOT : [ethics.NOT];
+                    for (const notEthic of notEthics) {
+                        if (notEthic.value === 'ethic_gestalt_consciousness' || notEthic === 'ethic_gestalt_consciousness') {
+                            forbidsGestalt = true;
+                            break;
+                        }
+                    }
+                }
+            }
+        }
+
+        return requiresMachine && forbidsGestalt;
+    }
+
+    /**
+     * Split the traits folder into species traits and leader traits
+     * Traits with a leader_class are leader traits, only starting ruler traits of those are used
+     * @param {Object} definitions - All definitions of the traits folder
+     * @returns {Object} { lookup: species traits, leader: starting ruler traits }
+     * @private
+     */
+    _routeTraitsFolder(definitions) {
+        const folder = DefinitionsPipeline.FOLDERS.traits;
+        const files  = {lookup: {}, leader: {}};
+
+        for (const [id, data] of Object.entries(definitions)) {
+            if (!data || typeof data !== 'object') continue;
+
+            if (LeaderTraitsBuilder.isStartingRulerTrait(data)) {
+                files.leader[id] = data;
+                this._use(folder, id);
+            } else if (data.leader_class === undefined) {
+                files.lookup[id] = data;
+                this._use(folder, id);
+            }
+        }
+
+        return files;
+    }
+
+    _buildOrigins(parsedOrigins, traitsLookup, civicsFiles) {
+        // Use OriginsBuilder which handles species_class (in addition to species_archetype)
+        const originsBuilder = new OriginsBuilder(this.options);
+
+        return {basegame_origins: originsBuilder.build(parsedOrigins, null, traitsLookup, civicsFiles)};
+    }
+
+    _buildTraits(files) {
+        const traitsBuilder = new TraitsBuilder();
+
+        // Apply bidirectional incompatibilities to the merged data
+        // This ensures cross-file incompatibilities work (e.g., trait_pathogenic_genes <-> trait_rapid_breeders)
+        traitsBuilder.applyBidirectionalToParsedData(files.lookup);
+
+        // Baseline traits
+        const basegameTraitDefs = traitsBuilder.build(files.lookup, (id, data) => {
+            // Exclude traits with allowed_origins
+            if (data.allowed_origins) {
+                return false;
+            }
+
+            // Exclude traits like 'trait_organic' and 'trait_lithoid'
+            if (data.cost === 0) {
+                return false;
+            }
+
+            // Exclude machine traits from baseline
+            if (traitsBuilder.hasAllowedArchetype(data, 'MACHINE')) {
+                return false;
+            }
+
+            // Exclude lithoid-only traits from
+            if (traitsBuilder.isOnlyForArchetypes(data, ['LITHOID'])) {
+                return false;
+            }
+
+            return true;
+        });
+
+        // Parse lithoid traits (allowed_archetypes includes LITHOID)
+        // BUT exclude traits with species_class that doesn't include LITHOID
+        const lithoidTraitsDefs = traitsBuilder.build(files.lookup, (id, data) => {
+            // Origin specific traits are in their own group
+            if (data.allowed_origins) {
+                return false;
+            }
+
+            // Must have LITHOID in allowed_archetypes
+            if (!traitsBuilder.hasAllowedArchetype(data, 'LITHOID')) {
+                return false;
+            }
+
+            // If species_class exists, it must either be empty or include LITHOID
+            if (data.species_class) {
+                const speciesClasses = Array.isArray(data.species_class) ? data.species_class : [data.species_class];
+                // Check if LITHOID is in the species_class list
+                return speciesClasses.includes('LITHOID');
+            }
+
+            // No species_class restriction, so it's valid for lithoids
+            return true;
+        });
+
+        // Parse overtuned traits (allowed_origins includes origin_overtuned)
+        const overtunedTraitsDefs = traitsBuilder.build(files.lookup, (id, data) => {
+            if (data.allowed_origins) {
+                const allowedOrigins = Array.isArray(data.allowed_origins) ? data.allowed_origins : [data.allowed_origins];
+                return allowedOrigins.includes('origin_overtuned');
+            }
+            return false;
+        });
+
+        // Parse syncretic disabled traits (opposites of trait_syncretic_proles)
+        const syncreticDisabledTraits = [];
+        if (files.lookup['trait_syncretic_proles']) {
+            const syncreticProles = files.lookup['trait_syncretic_proles'];
+            if (syncreticProles.opposites) {
+                const opposites = Array.isArray(syncreticProles.opposites)
+                    ? syncreticProles.opposites
+                    : [syncreticProles.opposites];
+                syncreticDisabledTraits.push(...opposites);
+            }
+        }
+
+        // Machine traits (allowed_archetypes includes MACHINE)
+        const machineTraits = Object.fromEntries(
+            Object.entries(files.lookup).filter(([id, data]) => traitsBuilder.hasAllowedArchetype(data, 'MACHINE'))
+        );
+
+        // Filter to exclude cost = 0 traits (background traits)
+        const machineTraitsDefs = traitsBuilder.build(machineTraits, (id, data) => {
+            if (data.cost !== undefined) {
+                if (typeof data.cost === 'number') {
+                    return data.cost !== 0;
+                } else if (typeof data.cost === 'object' && data.cost.base !== undefined) {
+                    return parseInt(data.cost.base) !== 0;
+                }
+            }
+            return true;
+        });
+
+        // Parse machine gestalt disabled traits (simple array of trait IDs)
+        const machineGestaltDisabledDefs = [];
+        for (const [id, data] of Object.entries(machineTraits)) {
+            // Skip traits with initial = no
+            if (data.initial === false || data.initial === 'no') {
+                continue;
+            }
+
+            // Check if trait has forbidden_ethics containing ethic_gestalt_consciousness
+            if (data.forbidden_ethics) {
+                const forbiddenEthics = Array.isArray(data.forbidden_ethics) ? data.forbidden_ethics : [data.forbidden_ethics];
+                if (forbiddenEthics.includes('ethic_gestalt_consciousness')) {
+                    machineGestaltDisabledDefs.push(id);
+                }
+            }
+        }
+
+        // Parse machine background traits (cost = 0)
+        const machineBackgroundTraits = [];
+        for (const [id, data] of Object.entries(machineTraits)) {
+            if (data.initial === false || data.initial === 'no') {
+                continue;
+            }
+
+            let isFree = false;
+            if (data.cost !== undefined) {
+                if (typeof data.cost === 'number') {
+                    isFree = data.cost === 0;
+                } else if (typeof data.cost === 'object' && data.cost.base !== undefined) {
+                    isFree = parseInt(data.cost.base) === 0;
+                }
+            }
+
+            if (isFree) {
+                machineBackgroundTraits.push(id);
+            }
+        }
+
+        // Starting ruler traits, bucketed by the file they are first defined in so mods overriding them keep the bucket
+        const slots        = this.folders.get(DefinitionsPipeline.FOLDERS.traits).slots;
+        const fileName     = id => slots[id].slice(slots[id].lastIndexOf('/') + 1);
+        const leaderTraits = new LeaderTraitsBuilder(this.leaderTraitBuckets).build(files.leader, fileName);
+
+        const incompatiblePathogenic = [];
+        if (files.lookup['trait_pathogenic_genes']) {
+            const pathogenicGenes = files.lookup['trait_pathogenic_genes'];
+            if (pathogenicGenes.opposites) {
+                const opposites = Array.isArray(pathogenicGenes.opposites)
+                    ? pathogenicGenes.opposites
+                    : [pathogenicGenes.opposites];
+                incompatiblePathogenic.push(...opposites);
+            }
+        }
+
+        return {
+            basegame_traits                  : basegameTraitDefs,
+            basegame_lithoid_traits          : lithoidTraitsDefs,
+            ocean_traits                     : {}, // filled by overrides, see DefinitionOverrides.DEFAULTS
+            basegame_overtuned_traits        : overtunedTraitsDefs,
+            syncretic_disabled_traits        : syncreticDisabledTraits,
+            basegame_machine_traits          : machineTraitsDefs,
+            machine_gestalt_disabled_traits  : machineGestaltDisabledDefs,
+            basegame_machine_background_traits: machineBackgroundTraits,
+            machine_ocean_traits             : {}, // same
+            ...leaderTraits,
+            incompatible_pathogenic          : incompatiblePathogenic,
+        };
+    }
+
+    _localisationPaths() {
+        return this.files.list('localisation/', true, '.yml')
+            .filter(path => LocalisationParser.isLanguageFile(path, this.language));
+    }
+
+    /**
+     * Get the localised name and description of every emitted ID
+     * Uses the localisation/ files ending with _l_<language>.yml, keys are "<id>" and "<id>_desc"
+     * @param {Object} definitions - Definitions grouped by output category
+     * @returns {Promise<Object>} { basegame_localisation: { id: { name, description } } }
+     * @private
+     */
+    async _buildLocalisation(definitions) {
+        const localisation = new LocalisationParser();
+        const paths        = this._localisationPaths();
+
+        // Files in localisation/replace override the others, which are loaded first
+        const isReplace = path => path.includes('/replace/');
+        for (const path of [...paths.filter(p => !isReplace(p)), ...paths.filter(isReplace)]) {
+            this._progress({stage: 'parse', file: path});
+            localisation.add(await this.files.file(path).async('text'), isReplace(path), path);
+        }
+
+        const ids = new Set();
+        for (const category of Object.values(definitions)) {
+            for (const group of Object.values(category)) {
+                if (Array.isArray(group)) group.filter(id => typeof id === 'string').forEach(id => ids.add(id));
+                else Object.keys(group).forEach(id => ids.add(id));
+            }
+        }
+
+        const names = {};
+        for (const id of ids) {
+            if (!localisation.has(id)) continue;
+
+            names[id] = {name: localisation.text(id)};
+            if (localisation.has(id + '_desc')) {
+                names[id].description = localisation.text(id + '_desc');
+            }
+        }
+        this.diagnostics.push(...localisation.diagnostics);
+
+        return {basegame_localisation: names};
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DefinitionsPipeline;
+}
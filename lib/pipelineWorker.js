@@ -0,0 +1,104 @@
+/**
+ * PipelineWorker
+ *
+ * Runs the complete generation (unzip, parse, build, manifest) for index.html off the main thread.
+ * The script is started as a Web Worker, and loaded with a script tag as a fallback where
+ * workers can't be started (pages opened from file:// in some browsers).
+ *
+ * Request: { base: File, mods: [File], options: { language, conditionTrees, ownedDlcs, overrides, leaderTraitBuckets } }
+ *
+ * Messages posted back:
+ *   { type: 'progress', stage: 'unzip', file, percent: 0 }, before reading each archive
+ *   { type: 'progress', stage: 'parse', file, percent }, for every file parsed
+ *   { type: 'progress', stage: 'build', builder, percent }, before building each output category
+ *   { type: 'category', category: 'civics', groups: {...} }, as soon as an output category is built
+ *   { type: 'done', definitions, diagnostics, report, dlcs: [...], sources, overrides, manifest }
+ *     sources see DefinitionsPipeline.sources(), overrides see DefinitionOverrides.report()
+ *   { type: 'error', message }
+ *
+ * A run in the worker is cancelled by terminating the worker, a run on the main thread with an AbortSignal.
+ */
+class PipelineWorker {
+    /**
+     * Scripts the worker needs, relative to this file
+     */
+    static SCRIPTS = [
+        '../jszip.min.js',
+        'gameFiles.js',
+        'definitionParser.js',
+        'ethicsBuilder.js',
+        'conditionTreeBuilder.js',
+        'civicsBuilder.js',
+        'authoritiesBuilder.js',
+        'originsBuilder.js',
+        'traitsBuilder.js',
+        'leaderTraitsBuilder.js',
+        'localisationParser.js',
+        'definitionOverrides.js',
+        'scriptedTriggers.js',
+        'pipeline.js',
+        'toolInfo.js',
+        'generationManifest.js',
+    ];
+
+    /**
+     * Run the generation
+     * @param {Object} request - See above
+     * @param {Function} post - Called with each message
+     * @param {AbortSignal} signal - Cancels the run, nothing is posted after cancelling
+     * @returns {Promise<void>}
+     */
+    static async generate(request, post, signal = null) {
+        const {base, mods = [], options = {}} = request;
+
+        try {
+            const gameFiles = new GameFiles();
+            for (const archive of [base, ...mods]) {
+                post({type: 'progress', stage: 'unzip', file: archive.name, percent: 0});
+                gameFiles.addArchive(await JSZip.loadAsync(archive), archive.name);
+            }
+
+            const pipeline = new DefinitionsPipeline(gameFiles, {
+                ...options,
+                signal,
+                onProgress: event => post({type: 'progress', ...event}),
+                onCategory: (category, groups) => post({type: 'category', category, groups}),
+            });
+            const definitions = await pipeline.run();
+            const sources     = await pipeline.sources(definitions);
+
+            const manifest = await new GenerationManifest().build(gameFiles, {
+                archives       : [base, ...mods].map(archive => archive.name),
+                language       : options.language || 'english',
+                condition_trees: !!options.conditionTrees,
+                owned_dlcs     : options.ownedDlcs || null,
+                overrides      : pipeline.overrides.overrides,
+                leader_trait_buckets: pipeline.leaderTraitBuckets,
+            });
+            if (signal && signal.aborted) return;
+
+            post({
+                type       : 'done',
+                definitions,
+                diagnostics: pipeline.diagnostics,
+                report     : pipeline.report,
+                dlcs       : [...pipeline.dlcs],
+                sources,
+                overrides  : pipeline.overrides.report(),
+                manifest,
+            });
+        } catch (error) {
+            if (signal && signal.aborted) return;
+            post({type: 'error', message: error.message});
+        }
+    }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    importScripts(...PipelineWorker.SCRIPTS);
+    self.onmessage = event => PipelineWorker.generate(event.data, message => self.postMessage(message));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PipelineWorker;
+}
@@ -0,0 +1,131 @@
+/**
+ * ScriptedTriggers
+ *
+ * Expands the scripted triggers (common/scripted_triggers) used in potential/possible blocks, so requirements
+ * written as "is_gestalt = no" or "is_hive_empire = yes" end up in yes/no like the ones written out:
+ *
+ * is_hive_empire = { has_authority = auth_hive_mind }             scripted trigger
+ * potential = { is_hive_empire = yes is_megacorp = no }          becomes
+ * potential = { authority = { value = auth_hive_mind } NOT = { AND = { authority = { value = auth_corporate } } } }
+ *
+ * "trigger = yes" is replaced by the conditions of the trigger (in an AND = { ... } inside OR/NOT/NOR, where
+ * they'd otherwise count as options), "trigger = no" by NOT = { AND = { ... } }.
+ * The country triggers has_ethic, has_authority, has_civic, has_valid_civic and has_origin are rewritten to the
+ * ethics/authority/civics/origin blocks the builders read. Only triggers leading to requirements (see
+ * ConditionTreeBuilder.CATEGORIES) are expanded; the others, and triggers with parameters, are left as they are.
+ */
+class ScriptedTriggers {
+    /**
+     * Country triggers, and the potential/possible block they're rewritten to
+     */
+    static REQUIREMENTS = {
+        has_ethic      : 'ethics',
+        has_authority  : 'authority',
+        has_civic      : 'civics',
+        has_valid_civic: 'civics',
+        has_origin     : 'origin',
+    };
+
+    static LOGICAL = ['AND', 'OR', 'NOT', 'NOR'];
+
+    /**
+     * @param {Object} triggers - Parsed scripted triggers by name
+     */
+    constructor(triggers = {}) {
+        this.triggers = triggers;
+        this.expanded = new Map(); // name -> expanded conditions, null when the trigger isn't expanded
+    }
+
+    /**
+     * Expand the triggers used in a potential/possible block
+     * @param {Object|Array} block - Parsed block, or an array of them (duplicate keys)
+     * @returns {Object|Array} New block with the triggers expanded
+     */
+    expand(block) {
+        if (Array.isArray(block)) return block.map(b => this._block(b, []));
+        return this._block(block, []);
+    }
+
+    /**
+     * @private
+     */
+    _block(block, including, conjunctive = true) {
+        if (!block || typeof block !== 'object' || Array.isArray(block)) return block;
+
+        const out = {};
+        for (const [key, value] of Object.entries(block)) {
+            for (const v of this._values(value)) {
+                const conditions = typeof v === 'boolean' ? this._trigger(key, including) : null;
+                if (conditions && v && !conjunctive) {
+                    this._add(out, 'AND', conditions);
+                } else if (conditions && v) {
+                    for (const [k, condition] of Object.entries(conditions)) {
+                        this._values(condition).forEach(c => this._add(out, k, c));
+                    }
+                } else if (conditions) {
+                    this._add(out, 'NOT', {AND: conditions});
+                } else if (ScriptedTriggers.REQUIREMENTS[key] && typeof v === 'string') {
+                    this._add(out, ScriptedTriggers.REQUIREMENTS[key], {value: v});
+                } else if (ScriptedTriggers.LOGICAL.includes(key)) {
+                    this._add(out, key, this._block(v, including, key === 'AND'));
+                } else {
+                    this._add(out, key, v);
+                }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Expanded conditions of a trigger, null if it's unknown or not expanded
+     * @private
+     */
+    _trigger(name, including) {
+        if (!Object.prototype.hasOwnProperty.call(this.triggers, name) || including.includes(name)) return null;
+
+        if (!this.expanded.has(name)) {
+            const body       = this.triggers[name];
+            const usable     = body && typeof body === 'object' && !Array.isArray(body) && !JSON.stringify(body).includes('$');
+            const conditions = usable ? this._block(body, [...including, name]) : null;
+            this.expanded.set(name, conditions && this._requires(conditions) ? conditions : null);
+        }
+        return this.expanded.get(name);
+    }
+
+    /**
+     * Check if conditions contain a requirement category, at any depth of AND/OR/NOT/NOR
+     * @private
+     */
+    _requires(conditions) {
+        return Object.entries(conditions).some(([key, value]) => {
+            if (ConditionTreeBuilder.CATEGORIES[key]) return true;
+            return ScriptedTriggers.LOGICAL.includes(key)
+                && this._values(value).some(v => v && typeof v === 'object' && !Array.isArray(v) && this._requires(v));
+        });
+    }
+
+    /**
+     * Values of a key: the parser merges duplicate keys into an array that isn't a block
+     * @private
+     */
+    _values(value) {
+        return Array.isArray(value) && !ParadoxParser.locations.has(value) ? value : [value];
+    }
+
+    /**
+     * Add a value to a block, merging duplicate keys like the parser
+     * @private
+     */
+    _add(block, key, value) {
+        if (!Object.prototype.hasOwnProperty.call(block, key)) {
+            block[key] = value;
+            return;
+        }
+        if (!Array.isArray(block[key]) || ParadoxParser.locations.has(block[key])) block[key] = [block[key]];
+        block[key].push(value);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScriptedTriggers;
+}
@@ -0,0 +1,14 @@
+/**
+ * ToolInfo
+ *
+ * Name and version of the generator, the one place to bump the version: recorded in manifest.json
+ * (see GenerationManifest) and shown on the page.
+ */
+class ToolInfo {
+    static NAME    = 'Stellaris Definition Generator';
+    static VERSION = '1.0.0';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ToolInfo;
+}
@@ -4,25 +4,84 @@
  * Converts parsed Stellaris trait definitions into the JSON format needed by the empire generator.
  * Handles different trait types:
  * - Simple traits: just cost and incompatibles (opposites)
- * - Leader traits: cost, yes.class[], yes.ethics[]
+ * - Leader traits: see LeaderTraitsBuilder
  * - Species background traits: simple array lists
  * 
  * For basegame_traits (species traits), the format is:
  * {
  *   'trait_name': {
  *     cost: 2,
- *     no: ['opposite_trait1', 'opposite_trait2']
+ *     yes: { origins: [], civics: [], ethics: [], species_archetype: ['BIOLOGICAL', 'LITHOID'] },
+ *     no : { origins: ['origin_clone_army'], civics: [], ethics: [], species_archetype: [], traits: ['opposite_trait1'] }
  *   }
  * }
+ *
+ * Cost modifiers are rules applied in order, each with a condition tree (see ConditionTreeBuilder)
+ * and an add or multiply factor:
+ *     cost_modifiers: [{ condition: { type: 'condition', key: 'has_origin', value: 'origin_mechanists' }, add: -1 }]
+ * modifiers keeps the older summary of those, unchanged: { origin_mechanists: -1 } for the has_* conditions.
+ * effectiveCost() applies them for an empire.
+ *
+ * yes/no have the same shape as civics (see CivicsBuilder): allowed_* and forbidden_* origins,
+ * civics, ethics and archetypes, with the incompatible traits (opposites) in no.traits.
+ * no used to be that list of traits; the output keeps it as incompatible_traits, added from no.traits
+ * when rendering (see withIncompatibleTraits()).
  * 
  * Key features:
  * - Extracts cost from trait definitions
  * - Processes opposites array for incompatible traits
+ * - Extracts allowed/forbidden origins, civics, ethics and archetypes
  * - Implements bidirectional incompatibilities (if A opposes B, then B opposes A)
  */
 class TraitsBuilder {
+    /**
+     * Kinds of empire the yes/no conditions of cost modifiers ask about (is_gestalt = yes), derived from
+     * the empire configuration the way the game's scripted triggers do
+     */
+    static EMPIRE_KINDS = {
+        is_machine_empire: empire => empire.authority === 'auth_machine_intelligence',
+        is_hive_empire   : empire => empire.authority === 'auth_hive_mind',
+        is_gestalt       : empire => ['auth_machine_intelligence', 'auth_hive_mind'].includes(empire.authority)
+            || (empire.ethics || []).includes('ethic_gestalt_consciousness'),
+        is_megacorp      : empire => empire.authority === 'auth_corporate'
+            || (empire.civics || []).includes('civic_galactic_sovereign_megacorp'),
+    };
+
+    /**
+     * Conditions of cost modifiers effectiveCost() can check, by key
+     * Each one gets the empire configuration and the condition value
+     */
+    static EMPIRE_CONDITIONS = {
+        ...Object.fromEntries(Object.entries(TraitsBuilder.EMPIRE_KINDS)
+            .map(([key, kind]) => [key, (empire, value) => kind(empire) === (value !== false && value !== 'no')])),
+        has_origin      : (empire, value) => empire.origin === value,
+        has_civic       : (empire, value) => (empire.civics || []).includes(value),
+        has_valid_civic : (empire, value) => (empire.civics || []).includes(value),
+        has_ethic       : (empire, value) => (empire.ethics || []).includes(value),
+        has_authority   : (empire, value) => empire.authority === value,
+        has_trait       : (empire, value) => (empire.traits || []).includes(value),
+        is_species_class: (empire, value) => empire.species_class === value,
+        is_archetype    : (empire, value) => empire.species_archetype === value,
+    };
+
+    /**
+     * Copy of a species trait definition with incompatible_traits, the old list of opposites, after no
+     * @param {Object} traitDef - Trait definition built by build(), other definitions are returned as they are
+     * @returns {Object} Definition to render
+     */
+    static withIncompatibleTraits(traitDef) {
+        if (!traitDef || !traitDef.no || !Array.isArray(traitDef.no.traits) || !('species_archetype' in traitDef.no)) {
+            return traitDef;
+        }
+        const entries = Object.entries(traitDef).filter(([key]) => key !== 'incompatible_traits');
+        const at      = entries.findIndex(([key]) => key === 'no') + 1;
+        entries.splice(at, 0, ['incompatible_traits', [...traitDef.no.traits]]);
+        return Object.fromEntries(entries);
+    }
+
     constructor() {
         // No hardcoded data needed for traits - all extracted from game files
+        this.treeBuilder = new ConditionTreeBuilder();
     }
 
     /**
@@ -34,7 +93,6 @@ class TraitsBuilder {
     build(parsedData, filterFn) {
         const result = {};
 
-        console.log(parsedData);
         // First pass: extract basic trait info
         for (const [id, data] of Object.entries(parsedData)) {
             // Always exclude traits with initial = no
@@ -46,7 +104,7 @@ class TraitsBuilder {
             if (filterFn && !filterFn(id, data)) continue;
 
             // Extract cost and modifiers
-            const { cost, modifiers } = this._extractCost(data);
+            const { cost, costModifiers, modifiers } = this._extractCost(data);
 
             // Extract opposites array (incompatible traits)
             const opposites = this._extractOpposites(data);
@@ -54,9 +112,13 @@ class TraitsBuilder {
             // Extract species_class if it exists
             const speciesClass = this._extractSpeciesClass(data);
 
+            // Extract tags if they exist
+            const tags = this._extractList(data.tags);
+
             const traitDef = {
                 cost: cost,
-                no: opposites
+                yes: this._extractRequirements(data, 'allowed'),
+                no: {...this._extractRequirements(data, 'forbidden'), traits: opposites}
             };
 
             // Add species_class if it exists
@@ -64,7 +126,15 @@ class TraitsBuilder {
                 traitDef.species_class = speciesClass;
             }
 
+            // Add tags if they exist
+            if (tags.length > 0) {
+                traitDef.tags = tags;
+            }
+
             // Add modifiers if they exist
+            if (costModifiers.length > 0) {
+                traitDef.cost_modifiers = costModifiers;
+            }
             if (modifiers && Object.keys(modifiers).length > 0) {
                 traitDef.modifiers = modifiers;
             }
@@ -79,11 +149,12 @@ class TraitsBuilder {
     /**
      * Extract cost and modifiers from trait data
      * @param {Object} data - Trait data object
-     * @returns {Object} Object with cost and modifiers
+     * @returns {Object} Object with cost, costModifiers (rules) and modifiers (summary)
      * @private
      */
     _extractCost(data) {
         let cost = 0;
+        let costModifiers = [];
         let modifiers = {};
 
         if (data.cost !== undefined) {
@@ -99,6 +170,7 @@ class TraitsBuilder {
                 
                 // Extract modifiers if they exist
                 if (data.cost.modifier) {
+                    costModifiers = this._extractCostModifiers(data.cost.modifier);
                     modifiers = this._extractModifiers(data.cost.modifier);
                 }
                 
@@ -111,7 +183,38 @@ class TraitsBuilder {
             }
         }
 
-        return { cost, modifiers };
+        return { cost, costModifiers, modifiers };
+    }
+
+    /**
+     * Extract cost modifier rules from modifier data
+     * @param {Object|Array} modifierData - Modifier data (can be object or array of objects)
+     * @returns {Array} Rules: { condition, add } or { condition, multiply }
+     * @private
+     */
+    _extractCostModifiers(modifierData) {
+        const rules = [];
+
+        // modifierData can be a single object or array of objects
+        const modifierArray = Array.isArray(modifierData) ? modifierData : [modifierData];
+
+        for (const mod of modifierArray) {
+            if (!mod || typeof mod !== 'object') continue;
+
+            // Everything but the factors is the condition (has_origin, NOT = { ... }, ...)
+            const conditions = {};
+            for (const [key, value] of Object.entries(mod)) {
+                if (!['add', 'multiply', 'factor'].includes(key)) conditions[key] = value;
+            }
+
+            const rule = { condition: this.treeBuilder.build(conditions) };
+            if (mod.add !== undefined) rule.add = Number(mod.add);
+            if (mod.multiply !== undefined || mod.factor !== undefined) rule.multiply = Number(mod.multiply ?? mod.factor);
+
+            if (rule.add !== undefined || rule.multiply !== undefined) rules.push(rule);
+        }
+
+        return rules;
     }
 
     /**
@@ -146,6 +249,40 @@ class TraitsBuilder {
         return modifiers;
     }
 
+    /**
+     * Compute the cost of a trait for an empire, applying its cost modifiers in order
+     * Conditions not in EMPIRE_CONDITIONS are false, and their keys added to unchecked when it's given.
+     * @param {Object} traitDef - Trait definition built by build()
+     * @param {Object} empire - { origin, civics: [], ethics: [], authority, species_class, species_archetype, traits: [] }
+     * @param {Set} unchecked - Optional, gets the keys of the conditions that couldn't be checked
+     * @returns {number} Effective cost
+     */
+    effectiveCost(traitDef, empire = {}, unchecked = null) {
+        const ids = {
+            origin           : [empire.origin],
+            civic            : empire.civics || [],
+            ethic            : empire.ethics || [],
+            authority        : [empire.authority],
+            species_class    : [empire.species_class],
+            species_archetype: [empire.species_archetype],
+        };
+        const test = (leaf) => {
+            if (leaf.type !== 'condition') return (ids[leaf.type] || []).includes(leaf.id);
+
+            const check = TraitsBuilder.EMPIRE_CONDITIONS[leaf.key];
+            if (!check && unchecked) unchecked.add(leaf.key);
+            return check ? check(empire, leaf.value) : false;
+        };
+
+        let cost = traitDef.cost;
+        for (const rule of traitDef.cost_modifiers || []) {
+            if (!this.treeBuilder.evaluate(rule.condition, test)) continue;
+            if (rule.add !== undefined) cost += rule.add;
+            if (rule.multiply !== undefined) cost *= rule.multiply;
+        }
+        return cost;
+    }
+
     /**
      * Extract opposites from trait data
      * @param {Object} data - Trait data object
@@ -167,6 +304,38 @@ class TraitsBuilder {
         return opposites;
     }
 
+    /**
+     * Extract the allowed or forbidden origins, civics, ethics and archetypes of a trait
+     * @param {Object} data - Trait data object
+     * @param {string} prefix - 'allowed' or 'forbidden'
+     * @returns {Object} Requirements in the yes/no shape of civics
+     * @private
+     */
+    _extractRequirements(data, prefix) {
+        return {
+            origins          : this._extractList(data[prefix + '_origins']),
+            civics           : this._extractList(data[prefix + '_civics']),
+            ethics           : this._extractList(data[prefix + '_ethics']),
+            species_archetype: this._extractList(data[prefix + '_archetypes']),
+        };
+    }
+
+    /**
+     * Extract a list of IDs, which can be a single string or an array
+     * @param {string|Array} value - List from the trait data
+     * @returns {Array} Array of IDs
+     * @private
+     */
+    _extractList(value) {
+        if (typeof value === 'string') {
+            return [value];
+        }
+        if (Array.isArray(value)) {
+            return value.filter(v => typeof v === 'string');
+        }
+        return [];
+    }
+
     /**
      * Extract species_class from trait data
      * @param {Object} data - Trait data object
@@ -327,7 +496,7 @@ class TraitsBuilder {
 
         // Second pass: add bidirectional opposites
         for (const [id, def] of Object.entries(definitions)) {
-            const oppositeTraits = def.no || [];
+            const oppositeTraits = def.no.traits || [];
             
             for (const oppositeId of oppositeTraits) {
                 // If the opposite trait exists in our definitions
@@ -335,8 +504,8 @@ class TraitsBuilder {
                     const oppositeDef = traitsMap.get(oppositeId);
                     
                     // Add current trait to opposite's incompatibles if not already there
-                    if (!oppositeDef.no.includes(id)) {
-                        oppositeDef.no.push(id);
+                    if (!oppositeDef.no.traits.includes(id)) {
+                        oppositeDef.no.traits.push(id);
                     }
                 }
             }
@@ -345,3 +514,7 @@ class TraitsBuilder {
         return definitions;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TraitsBuilder;
+}
@@ -0,0 +1,177 @@
+/**
+ * VersionDiff
+ *
+ * Compares the definitions of two game releases (the result of DefinitionsPipeline.run() for each)
+ * and reports per category which definitions were added or removed, and what changed in the
+ * fields listed in FIELDS:
+ *
+ * {
+ *   old: 'stellaris_3.14.zip',
+ *   new: 'stellaris_4.0.zip',
+ *   categories: {
+ *     civics: {
+ *       added  : ['civic_new'],
+ *       removed: ['civic_gone'],
+ *       changed: {
+ *         civic_beacon_of_liberty: {
+ *           'no.civics': { added: ['civic_new'], removed: [] },
+ *           cost       : { old: 1, new: 2 }
+ *         }
+ *       }
+ *     },
+ *     ...
+ *   }
+ * }
+ *
+ * Definitions are matched by ID across all groups of a category, so a civic moving from
+ * basegame_civics to hive_civics is a change of its "groups", not a removal and an addition.
+ */
+class VersionDiff {
+    /**
+     * Categories compared, see DefinitionsPipeline.OUTPUTS
+     */
+    static CATEGORIES = ['ethics', 'authorities', 'civics', 'origins', 'traits'];
+
+    /**
+     * Fields compared, as paths in a definition
+     * Lists report the values added and removed, other values their old and new value
+     */
+    static FIELDS = ['groups', 'cost', 'no.civics', 'incompatible_ethics', 'required_authorities'];
+
+    /**
+     * Compare two sets of definitions
+     * @param {Object} oldDefinitions - DefinitionsPipeline.run() of the old release
+     * @param {Object} newDefinitions - DefinitionsPipeline.run() of the new release
+     * @param {Object} names - { old, new }, names of the archives shown in the report
+     * @returns {Object} Diff, see above
+     */
+    compare(oldDefinitions, newDefinitions, names = {}) {
+        const diff = {old: names.old || 'old', new: names.new || 'new', categories: {}};
+
+        for (const category of VersionDiff.CATEGORIES) {
+            const before = this._byId(oldDefinitions[category]);
+            const after  = this._byId(newDefinitions[category]);
+
+            const added   = Object.keys(after).filter(id => !(id in before)).sort();
+            const removed = Object.keys(before).filter(id => !(id in after)).sort();
+            const changed = {};
+
+            for (const id of Object.keys(after).filter(id => id in before).sort()) {
+                const changes = this._compareDefinition(before[id], after[id]);
+                if (Object.keys(changes).length) changed[id] = changes;
+            }
+
+            diff.categories[category] = {added, removed, changed};
+        }
+        return diff;
+    }
+
+    /**
+     * Check if a diff has any change
+     * @param {Object} diff - Result of compare()
+     * @returns {boolean}
+     */
+    isEmpty(diff) {
+        return Object.values(diff.categories).every(c =>
+            !c.added.length && !c.removed.length && !Object.keys(c.changed).length);
+    }
+
+    /**
+     * Render a diff as Markdown
+     * @param {Object} diff - Result of compare()
+     * @returns {string}
+     */
+    toMarkdown(diff) {
+        const code  = values => values.map(value => '`' + value + '`').join(', ');
+        const lines = [`# Definitions diff: ${diff.old} → ${diff.new}`, ''];
+
+        if (this.isEmpty(diff)) {
+            lines.push('No changes.', '');
+            return lines.join('\n');
+        }
+
+        for (const [category, c] of Object.entries(diff.categories)) {
+            const changedIds = Object.keys(c.changed);
+            lines.push(`## ${category[0].toUpperCase() + category.slice(1)}`, '');
+
+            if (!c.added.length && !c.removed.length && !changedIds.length) {
+                lines.push('No changes.', '');
+                continue;
+            }
+            if (c.added.length) lines.push(`**Added (${c.added.length}):** ${code(c.added)}`, '');
+            if (c.removed.length) lines.push(`**Removed (${c.removed.length}):** ${code(c.removed)}`, '');
+
+            if (changedIds.length) {
+                lines.push(`**Changed (${changedIds.length}):**`, '');
+                for (const id of changedIds) {
+                    lines.push(`- \`${id}\``);
+                    for (const [field, change] of Object.entries(c.changed[id])) {
+                        lines.push(`  - ${field}: ${this._describe(change, code)}`);
+                    }
+                }
+                lines.push('');
+            }
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Definitions of a category by ID, with the groups they're in
+     * Lists of IDs (e.g. individualistic_machines) count as groups too.
+     * @private
+     */
+    _byId(groups = {}) {
+        const byId = {};
+        for (const [group, defs] of Object.entries(groups)) {
+            const entries = Array.isArray(defs)
+                ? defs.map(id => [id, {}])
+                : Object.entries(defs);
+
+            for (const [id, definition] of entries) {
+                if (!byId[id]) byId[id] = {...definition, groups: []};
+                byId[id].groups.push(group);
+            }
+        }
+        return byId;
+    }
+
+    _compareDefinition(before, after) {
+        const changes = {};
+        for (const field of VersionDiff.FIELDS) {
+            const oldValue = this._get(before, field);
+            const newValue = this._get(after, field);
+            if (oldValue === undefined && newValue === undefined) continue;
+
+            if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+                const oldKeys = (oldValue || []).map(v => JSON.stringify(v));
+                const newKeys = (newValue || []).map(v => JSON.stringify(v));
+                const added   = newKeys.filter(k => !oldKeys.includes(k)).map(k => JSON.parse(k));
+                const removed = oldKeys.filter(k => !newKeys.includes(k)).map(k => JSON.parse(k));
+                if (added.length || removed.length) changes[field] = {added, removed};
+            } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                changes[field] = {old: oldValue === undefined ? null : oldValue, new: newValue === undefined ? null : newValue};
+            }
+        }
+        return changes;
+    }
+
+    _get(definition, path) {
+        return path.split('.').reduce((value, key) => value == null ? undefined : value[key], definition);
+    }
+
+    _describe(change, code) {
+        if ('old' in change) {
+            const value = v => v === null ? 'none' : JSON.stringify(v);
+            return `${value(change.old)} → ${value(change.new)}`;
+        }
+        const text = v => typeof v === 'string' ? v : JSON.stringify(v);
+        const parts = [];
+        if (change.added.length) parts.push('+' + code(change.added.map(text)));
+        if (change.removed.length) parts.push('−' + code(change.removed.map(text)));
+        return parts.join(' ');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VersionDiff;
+}
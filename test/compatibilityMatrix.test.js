@@ -0,0 +1,74 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const CompatibilityMatrix = require('../lib/compatibilityMatrix.js');
+
+const civic = (yes = {}, no = {}) => ({cost: 1, yes: {civics: [], origins: [], authorities: [], ...yes}, no: {civics: [], origins: [], ...no}});
+
+const DEFINITIONS = {
+    ethics     : {basegame_ethics: {ethic_pacifist: {cost: 1, incompatible_ethics: ['ethic_militarist']}, ethic_militarist: {cost: 1}}},
+    authorities: {basegame_authorities: {auth_imperial: {yes: {ethics: []}, no: {ethics: ['ethic_pacifist']}}}},
+    civics     : {
+        basegame_civics: {
+            civic_free    : civic(),
+            civic_pair    : civic({civics: [['civic_free']]}),
+            civic_excluded: civic({}, {civics: ['civic_free'], origins: ['origin_ring']}),
+            civic_ringed  : civic({origins: [['origin_ring']]}),
+            civic_either  : civic({origins: [['origin_ring', 'origin_void']]}),
+            civic_imperial: civic({authorities: [['auth_imperial']]}),
+            civic_democrat: civic({authorities: [['auth_democratic']]}),
+        },
+    },
+    origins    : {
+        basegame_origins: {
+            origin_ring: civic(),
+            origin_void: civic({}, {civics: ['civic_either']}),
+        },
+    },
+};
+
+const cell = (matrix, row, column) => matrix.cells[matrix.rows.indexOf(row)][matrix.columns.indexOf(column)];
+
+test('civic pairs are allowed, conditional or forbidden', () => {
+    const matrix = new CompatibilityMatrix(DEFINITIONS).build('civic_civic');
+
+    assert.strictEqual(cell(matrix, 'civic_free', 'civic_free'), null);
+    assert.deepStrictEqual(cell(matrix, 'civic_free', 'civic_ringed'), {state: 'allowed', reasons: []});
+    assert.deepStrictEqual(cell(matrix, 'civic_pair', 'civic_ringed'), {state: 'conditional', reasons: ['civic_pair also needs civic_free']});
+    assert.deepStrictEqual(cell(matrix, 'civic_free', 'civic_excluded'), {state: 'forbidden', reasons: ['civic_excluded excludes civic_free']});
+    assert.deepStrictEqual(cell(matrix, 'civic_excluded', 'civic_free'), cell(matrix, 'civic_free', 'civic_excluded'));
+    assert.strictEqual(cell(matrix, 'civic_ringed', 'civic_excluded').state, 'forbidden');
+    assert.deepStrictEqual(cell(matrix, 'civic_either', 'civic_excluded'), {
+        state  : 'conditional',
+        reasons: ['civic_either needs one of origin_ring, origin_void, civic_excluded excludes origin_ring'],
+    });
+});
+
+test('two different picks of a single choice are forbidden', () => {
+    const civics  = new CompatibilityMatrix(DEFINITIONS).build('civic_civic');
+    const origins = new CompatibilityMatrix(DEFINITIONS).build('origin_civic');
+
+    assert.deepStrictEqual(cell(civics, 'civic_imperial', 'civic_democrat'), {
+        state  : 'forbidden',
+        reasons: ['civic_imperial needs auth_imperial, civic_democrat needs auth_democratic'],
+    });
+    assert.strictEqual(cell(civics, 'civic_ringed', 'civic_either').state, 'allowed');
+    assert.deepStrictEqual(cell(origins, 'origin_void', 'civic_ringed'), {state: 'forbidden', reasons: ['civic_ringed needs origin_ring']});
+    assert.strictEqual(cell(origins, 'origin_ring', 'civic_ringed').state, 'allowed');
+    assert.strictEqual(cell(origins, 'origin_void', 'civic_either').state, 'forbidden');
+});
+
+test('authorities excluding an ethic', () => {
+    const matrix = new CompatibilityMatrix(DEFINITIONS).build('ethic_authority');
+
+    assert.deepStrictEqual(matrix.rows, ['ethic_pacifist', 'ethic_militarist']);
+    assert.strictEqual(cell(matrix, 'ethic_pacifist', 'auth_imperial').state, 'forbidden');
+    assert.strictEqual(cell(matrix, 'ethic_militarist', 'auth_imperial').state, 'allowed');
+});
+
+test('CSV has a row per row definition', () => {
+    const csv = CompatibilityMatrix.toCsv(new CompatibilityMatrix(DEFINITIONS).build('ethic_authority'));
+
+    assert.strictEqual(csv, ',auth_imperial\nethic_pacifist,forbidden\nethic_militarist,allowed\n');
+});
@@ -0,0 +1,105 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+global.ParadoxParser        = require('../lib/definitionParser.js');
+global.ConditionTreeBuilder = require('../lib/conditionTreeBuilder.js');
+
+const KEYS = {ethic: 'ethics', authority: 'authorities', civic: 'civics'};
+
+// Tree and yes/no of a potential block written in Paradox script
+const requirements = (script) => {
+    const builder = new ConditionTreeBuilder();
+    const tree    = builder.build(new ParadoxParser().parse(`potential = { ${script} }`).potential);
+    const yes     = {ethics: [], authorities: [], civics: []};
+    const no      = {ethics: [], authorities: [], civics: []};
+    builder.toYesNo(tree, KEYS, yes, no);
+    return {tree, yes, no};
+};
+
+test('NOT with an AND forbids the combination only', () => {
+    const {tree, yes, no} = requirements('NOT = { AND = { ethics = { value = ethic_a } authority = { value = auth_b } } }');
+
+    assert.deepStrictEqual(tree, {op: 'not', arg: {op: 'and', args: [
+        {type: 'ethic', id: 'ethic_a'},
+        {type: 'authority', id: 'auth_b'},
+    ]}});
+    assert.deepStrictEqual(no, {ethics: [], authorities: [], civics: []});
+    assert.deepStrictEqual(yes, {ethics: [], authorities: [], civics: []});
+});
+
+test('NOT with several entries forbids each of them', () => {
+    const {tree, no} = requirements('NOT = { ethics = { value = ethic_a } authority = { value = auth_b } }');
+
+    assert.deepStrictEqual(tree, {op: 'not', arg: {op: 'or', args: [
+        {type: 'ethic', id: 'ethic_a'},
+        {type: 'authority', id: 'auth_b'},
+    ]}});
+    assert.deepStrictEqual(no, {ethics: ['ethic_a'], authorities: ['auth_b'], civics: []});
+});
+
+test('NOR forbids each of its entries', () => {
+    const {tree, no} = requirements('NOR = { civics = { value = civic_a } civics = { value = civic_b } }');
+
+    assert.strictEqual(tree.op, 'not');
+    assert.deepStrictEqual(no.civics, ['civic_a', 'civic_b']);
+});
+
+test('NOT with an AND next to other entries keeps the AND as one option', () => {
+    const {tree, no} = requirements('NOT = { AND = { civics = { value = civic_a } civics = { value = civic_b } } ethics = { value = ethic_c } }');
+
+    assert.deepStrictEqual(tree.arg.args[0], {op: 'and', args: [{type: 'civic', id: 'civic_a'}, {type: 'civic', id: 'civic_b'}]});
+    assert.deepStrictEqual(no, {ethics: ['ethic_c'], authorities: [], civics: []});
+});
+
+test('OR with options of different categories is not required', () => {
+    const {yes} = requirements('OR = { ethics = { value = ethic_militarist } civics = { value = civic_y } }');
+
+    assert.deepStrictEqual(yes, {ethics: [], authorities: [], civics: []});
+});
+
+test('OR with another condition is not required', () => {
+    const {yes} = requirements('OR = { ethics = { value = ethic_militarist } is_ai = yes }');
+
+    assert.deepStrictEqual(yes.ethics, []);
+});
+
+test('OR within one category is a group, a single option too', () => {
+    const {yes} = requirements(`
+        ethics = { OR = { value = ethic_a value = ethic_b } }
+        authority = { OR = { value = auth_democratic } }
+    `);
+
+    assert.deepStrictEqual(yes.ethics, [['ethic_a', 'ethic_b']]);
+    assert.deepStrictEqual(yes.authorities, [['auth_democratic']]);
+});
+
+test('evaluate() follows the NOT/AND structure', () => {
+    const builder = new ConditionTreeBuilder();
+    const {tree}  = requirements('NOT = { AND = { ethics = { value = ethic_a } authority = { value = auth_b } } }');
+    const has     = ids => leaf => ids.includes(leaf.id);
+
+    assert.strictEqual(builder.evaluate(tree, has(['ethic_a'])), true);
+    assert.strictEqual(builder.evaluate(tree, has(['ethic_a', 'auth_b'])), false);
+});
+
+test('a key repeated in OR is one option per value', () => {
+    const {tree, yes} = requirements('OR = { authority = auth_democratic authority = auth_oligarchic }');
+
+    assert.deepStrictEqual(tree, {op: 'or', args: [
+        {type: 'authority', id: 'auth_democratic'},
+        {type: 'authority', id: 'auth_oligarchic'},
+    ]});
+    assert.deepStrictEqual(yes.authorities, [['auth_democratic', 'auth_oligarchic']]);
+});
+
+test('a key repeated in NOR or NOT forbids each value', () => {
+    const nor = requirements('NOR = { is_species_class = MAM is_species_class = REP }').tree;
+    const not = requirements('NOT = { authority = auth_democratic authority = auth_oligarchic }');
+
+    assert.deepStrictEqual(nor, {op: 'not', arg: {op: 'or', args: [
+        {type: 'condition', key: 'is_species_class', value: 'MAM'},
+        {type: 'condition', key: 'is_species_class', value: 'REP'},
+    ]}});
+    assert.deepStrictEqual(not.no.authorities, ['auth_democratic', 'auth_oligarchic']);
+});
@@ -0,0 +1,74 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const DefinitionIndex = require('../lib/definitionIndex.js');
+
+const DEFINITIONS = {
+    civics: {
+        basegame_civics: {
+            civic_beacon_of_liberty: {cost: 1, yes: {ethics: ['ethic_egalitarian']}, no: {origins: []}},
+            civic_corporate_dominion: {cost: 1, yes: {ethics: []}, no: {origins: ['origin_shattered_ring']}},
+        },
+        corporate_civics: {
+            civic_corporate_dominion: {cost: 1, yes: {ethics: []}, no: {origins: ['origin_shattered_ring']}},
+        },
+        disabled_civics: ['civic_beacon_of_liberty'],
+    },
+    origins: {
+        basegame_origins: {
+            origin_shattered_ring: {yes: {civics: []}, no: {civics: ['civic_corporate_dominion']}, description: 'civic_beacon_of_liberty'},
+        },
+    },
+    ethics: {
+        basegame_ethics: {
+            ethic_egalitarian: {cost: 1, category: 'civic_beacon_of_liberty'},
+        },
+    },
+    localisation: {
+        basegame_localisation: {
+            civic_beacon_of_liberty: {name: 'Beacon of Liberty', description: ''},
+            origin_shattered_ring  : {name: 'Shattered Ring', description: ''},
+        },
+    },
+};
+
+test('IDs in several groups are one entry listing its groups', () => {
+    const index = new DefinitionIndex(DEFINITIONS);
+
+    assert.deepStrictEqual(index.get('civic_corporate_dominion').groups, ['basegame_civics', 'corporate_civics']);
+    assert.deepStrictEqual(index.get('civic_beacon_of_liberty').groups, ['basegame_civics']);
+    assert.strictEqual(index.get('civic_beacon_of_liberty').name, 'Beacon of Liberty');
+    assert.strictEqual(index.get('civic_x'), null);
+    assert.strictEqual(index.has('basegame_localisation'), false);
+});
+
+test('references and referencedBy follow the IDs in the definitions', () => {
+    const index = new DefinitionIndex(DEFINITIONS);
+
+    assert.deepStrictEqual(index.get('civic_corporate_dominion').references, ['origin_shattered_ring']);
+    assert.deepStrictEqual(index.referencedBy('origin_shattered_ring'), ['civic_corporate_dominion']);
+    assert.deepStrictEqual(index.referencedBy('ethic_egalitarian'), ['civic_beacon_of_liberty']);
+    assert.deepStrictEqual(index.referencedBy('civic_x'), []);
+});
+
+test('names, descriptions and other text are not references', () => {
+    const index = new DefinitionIndex(DEFINITIONS);
+
+    assert.deepStrictEqual(index.get('origin_shattered_ring').references, ['civic_corporate_dominion']);
+    assert.deepStrictEqual(index.get('ethic_egalitarian').references, []);
+    assert.deepStrictEqual(index.referencedBy('civic_beacon_of_liberty'), []);
+});
+
+test('search by text, category and requirement', () => {
+    const index = new DefinitionIndex(DEFINITIONS);
+    const ids   = filter => index.search(filter).map(entry => entry.id);
+
+    assert.deepStrictEqual(ids({}), ['civic_beacon_of_liberty', 'civic_corporate_dominion', 'ethic_egalitarian', 'origin_shattered_ring']);
+    assert.deepStrictEqual(ids({text: ' RING '}), ['origin_shattered_ring']);
+    assert.deepStrictEqual(ids({text: 'liberty'}), ['civic_beacon_of_liberty']);
+    assert.deepStrictEqual(ids({text: 'beacon of'}), ['civic_beacon_of_liberty']);
+    assert.deepStrictEqual(ids({category: 'civics'}), ['civic_beacon_of_liberty', 'civic_corporate_dominion']);
+    assert.deepStrictEqual(ids({requirement: 'origin_shattered_ring'}), ['civic_corporate_dominion']);
+    assert.deepStrictEqual(ids({category: 'origins', requirement: 'ethic_egalitarian'}), []);
+});
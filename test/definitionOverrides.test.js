@@ -0,0 +1,67 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const DefinitionOverrides = require('../lib/definitionOverrides.js');
+
+const trait = () => ({cost: 1, no: {traits: []}});
+
+test('include copies a definition from another group', () => {
+    const groups    = {basegame_traits: {trait_a: trait()}, lithoid_traits: {}};
+    const overrides = new DefinitionOverrides([
+        {action: 'include', id: 'trait_a', group: 'lithoid_traits'},
+        {action: 'add', id: 'trait_a', field: 'no.traits', value: 'trait_b'},
+    ]);
+    overrides.apply(groups);
+
+    assert.notStrictEqual(groups.lithoid_traits.trait_a, groups.basegame_traits.trait_a);
+    assert.deepStrictEqual(groups.lithoid_traits.trait_a.no.traits, ['trait_b']);
+    assert.deepStrictEqual(overrides.report().unmatched, []);
+});
+
+test('include brings in a definition left out of every group', () => {
+    const unfiltered = {trait_a: trait(), trait_free: {cost: 0, no: {traits: []}}};
+    const groups     = {basegame_traits: {trait_a: unfiltered.trait_a}};
+    const overrides  = new DefinitionOverrides([{action: 'include', id: 'trait_free', group: 'basegame_traits'}]);
+    overrides.apply(groups, () => unfiltered);
+
+    assert.deepStrictEqual(groups.basegame_traits.trait_free, unfiltered.trait_free);
+    assert.notStrictEqual(groups.basegame_traits.trait_free, unfiltered.trait_free);
+});
+
+test('include of an unknown ID does not match', () => {
+    const overrides = new DefinitionOverrides([{action: 'include', id: 'trait_x', group: 'basegame_traits'}]);
+    overrides.apply({basegame_traits: {}}, () => ({}));
+
+    assert.strictEqual(overrides.report().unmatched.length, 1);
+});
+
+test('include in a list group needs a known ID', () => {
+    const groups    = {basegame_traits: {trait_a: trait()}, disabled_traits: []};
+    const overrides = new DefinitionOverrides([
+        {action: 'include', id: 'trait_a', group: 'disabled_traits'},
+        {action: 'include', id: 'trait_x', group: 'disabled_traits'},
+    ]);
+    overrides.apply(groups, () => ({}));
+
+    assert.deepStrictEqual(groups.disabled_traits, ['trait_a']);
+    assert.deepStrictEqual(overrides.report().unmatched.map(override => override.id), ['trait_x']);
+});
+
+test('the defaults route the aquatic traits to their own groups', () => {
+    const aquatic   = {cost: 1, no: {traits: []}};
+    const groups    = {
+        basegame_traits        : {trait_aquatic: aquatic},
+        basegame_lithoid_traits: {trait_aquatic: aquatic},
+        ocean_traits           : {},
+        basegame_machine_traits: {},
+        machine_ocean_traits   : {},
+    };
+    const overrides = new DefinitionOverrides();
+    overrides.apply(groups, () => ({trait_aquatic: aquatic, trait_robot_aquatic: {cost: 1, no: {traits: []}}}));
+
+    assert.deepStrictEqual(Object.keys(groups.basegame_traits), []);
+    assert.deepStrictEqual(Object.keys(groups.basegame_lithoid_traits), []);
+    assert.deepStrictEqual(groups.ocean_traits.trait_aquatic.no.traits, ['trait_cave_dweller']);
+    assert.deepStrictEqual(groups.machine_ocean_traits.trait_robot_aquatic.no.traits, ['trait_cave_dweller']);
+});
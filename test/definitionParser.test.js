@@ -0,0 +1,68 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const ParadoxParser = require('../lib/definitionParser.js');
+
+const SCRIPTS = {
+    'civics/playable': `
+        num_owned_planets > $PLANETS$
+        has_ethic = ethic_$ETHIC$
+        [[AUTHORITY] has_authority = auth_$AUTHORITY$ ]
+    `,
+    'civics/tags'    : 'GESTALT MEGACORP',
+    'civics/self'    : 'inline_script = civics/self'
+};
+
+const parser = () => {
+    const parser = new ParadoxParser();
+    parser.defineInlineScripts(SCRIPTS);
+    return parser;
+};
+
+test('inline scripts get their parameters substituted', () => {
+    const parsed = parser().parse('civic = { potential = { inline_script = { script = civics/playable PLANETS = 5 ETHIC = pacifist } } }');
+    assert.strictEqual(parsed.civic.potential.has_ethic, 'ethic_pacifist');
+    assert.strictEqual(parsed.civic.potential.has_authority, undefined);
+});
+
+test('optional blocks are kept only when their parameter is given', () => {
+    const given   = parser().parse('potential = { inline_script = { script = civics/playable PLANETS = 5 ETHIC = pacifist AUTHORITY = democratic } }');
+    const omitted = parser().parse('potential = { inline_script = { script = civics/playable PLANETS = 5 ETHIC = pacifist } }');
+    assert.strictEqual(given.potential.has_authority, 'auth_democratic');
+    assert.ok(!('has_authority' in omitted.potential));
+});
+
+test('comparisons in inline scripts stay comparisons in the block they are used in', () => {
+    const parsed = parser().parse('potential = { is_gestalt = no inline_script = { script = civics/playable PLANETS = 5 ETHIC = pacifist } }');
+    assert.deepStrictEqual(parsed.potential.items, ['num_owned_planets > 5']);
+    assert.strictEqual(parsed.potential.is_gestalt, false);
+    assert.ok(!('num_owned_planets' in parsed.potential));
+});
+
+test('bare items of inline scripts are merged into the list they are used in', () => {
+    const parsed = parser().parse('tags = { inline_script = civics/tags }\nmixed = { a = 1 inline_script = civics/tags }');
+    assert.deepStrictEqual(parsed.tags, ['GESTALT', 'MEGACORP']);
+    assert.strictEqual(parsed.mixed.a, 1);
+    assert.deepStrictEqual(parsed.mixed.items, ['GESTALT', 'MEGACORP']);
+});
+
+test('the AST keeps the operators of inline scripts', () => {
+    const [potential] = parser().parseAst('potential = { inline_script = { script = civics/playable PLANETS = 5 ETHIC = pacifist } }');
+    assert.deepStrictEqual(potential.value.map(entry => [entry.key, entry.operator, entry.value]), [
+        ['num_owned_planets', '>', 5],
+        ['has_ethic', '=', 'ethic_pacifist']
+    ]);
+    assert.strictEqual(potential.value[0].location.file, 'common/inline_scripts/civics/playable.txt');
+});
+
+test('unresolved inline scripts and parameters are reported', () => {
+    const p = parser();
+    p.parse('a = { inline_script = civics/unknown }\nb = { inline_script = { script = civics/playable ETHIC = pacifist } }\nc = { inline_script = { PLANETS = 1 } }\nd = { inline_script = civics/self }', 'test.txt');
+    assert.deepStrictEqual(p.diagnostics.map(d => [d.file, d.line, d.message]), [
+        ['common/inline_scripts/civics/self.txt', 1, "Inline script 'civics/self' includes itself"],
+        ['test.txt', 1, "Unknown inline script 'civics/unknown'"],
+        ['test.txt', 2, "Inline script 'civics/playable' has no value for parameter 'PLANETS'"],
+        ['test.txt', 3, "Inline script without a 'script' name"]
+    ]);
+});
@@ -0,0 +1,45 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+global.ParadoxParser = require('../lib/definitionParser.js');
+const EthicsBuilder  = require('../lib/ethicsBuilder.js');
+
+const build = (script) => new EthicsBuilder().build(new ParadoxParser().parse(script));
+
+const ETHICS = `
+ethic_categories = {
+    col = { }
+    hive = { }
+}
+ethic_authoritarian = { cost = 1 category = "col" category_value = 0 fanatic_variant = ethic_fanatic_authoritarian }
+ethic_fanatic_authoritarian = { cost = 2 category = "col" category_value = 0 regular_variant = ethic_authoritarian }
+ethic_egalitarian = { cost = 1 category = "col" category_value = 2 fanatic_variant = ethic_fanatic_egalitarian }
+ethic_fanatic_egalitarian = { cost = 2 category = "col" category_value = 2 regular_variant = ethic_egalitarian }
+`;
+
+test('ethic_categories is not an ethic', () => {
+    assert.deepStrictEqual(Object.keys(build(ETHICS)), [
+        'ethic_authoritarian', 'ethic_fanatic_authoritarian', 'ethic_egalitarian', 'ethic_fanatic_egalitarian',
+    ]);
+});
+
+test('opposites and variants exclude each other', () => {
+    const ethics = build(ETHICS);
+
+    assert.deepStrictEqual(ethics.ethic_authoritarian.incompatible_ethics.sort(), [
+        'ethic_egalitarian', 'ethic_fanatic_authoritarian', 'ethic_fanatic_egalitarian',
+    ]);
+    assert.strictEqual(ethics.ethic_authoritarian.gestalt, false);
+});
+
+test('an ethic alone in its category, or without one, is gestalt', () => {
+    const ethics = build(ETHICS + `
+        ethic_gestalt_consciousness = { cost = 3 category = "hive" category_value = 1 }
+        ethic_hive_mod = { cost = 3 }
+    `);
+
+    assert.strictEqual(ethics.ethic_gestalt_consciousness.gestalt, true);
+    assert.strictEqual(ethics.ethic_hive_mod.gestalt, true);
+    assert.strictEqual(ethics.ethic_hive_mod.category, null);
+});
@@ -0,0 +1,36 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+global.ToolInfo          = require('../lib/toolInfo.js');
+const GenerationManifest = require('../lib/generationManifest.js');
+
+// GameFiles with the files the pipeline read
+const gameFiles = (files) => ({
+    archives : [{name: 'game.zip'}],
+    files    : new Map(Object.keys(files).map(path => [path, true])),
+    read     : new Set(Object.keys(files)),
+    archiveOf: () => 'game.zip',
+    file     : path => ({async: async type => (type === 'text' ? files[path] : new TextEncoder().encode(files[path]))}),
+});
+
+const ABC_SHA256 = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+
+test('records the tool, the game version and a hash of every input', async () => {
+    const manifest = await new GenerationManifest().build(gameFiles({
+        'launcher-settings.json'    : '{"rawVersion": "v3.14.1"}',
+        'common/ethics/00_ethics.txt': 'abc',
+    }), {language: 'english'});
+
+    assert.deepStrictEqual(manifest.tool, {name: ToolInfo.NAME, version: ToolInfo.VERSION});
+    assert.strictEqual(manifest.game_version, 'v3.14.1');
+    assert.deepStrictEqual(manifest.inputs[0], {path: 'common/ethics/00_ethics.txt', archive: 'game.zip', sha256: ABC_SHA256});
+});
+
+test('hashes with the crypto module when there is no global crypto', async (t) => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    Object.defineProperty(globalThis, 'crypto', {value: undefined, configurable: true});
+    t.after(() => Object.defineProperty(globalThis, 'crypto', descriptor));
+
+    assert.strictEqual(await new GenerationManifest()._sha256(new TextEncoder().encode('abc')), ABC_SHA256);
+});
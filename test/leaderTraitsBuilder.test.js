@@ -0,0 +1,73 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+global.ParadoxParser      = require('../lib/definitionParser.js');
+const LeaderTraitsBuilder = require('../lib/leaderTraitsBuilder.js');
+
+const TRAITS = new ParadoxParser().parse(`
+leader_trait_charismatic = { cost = 1 starting_ruler_trait = yes leader_class = { official } opposites = { leader_trait_abrasive } }
+leader_trait_abrasive = { cost = -1 starting_ruler_trait = yes leader_class = official }
+leader_trait_paragon_good = { cost = 2 starting_ruler_trait = yes leader_class = { scientist } }
+leader_trait_paragon_bad = { cost = -1 starting_ruler_trait = yes leader_class = { scientist } }
+`);
+const FILES  = {leader_trait_paragon_good: '10_paragon_traits.txt', leader_trait_paragon_bad: '10_paragon_traits.txt'};
+const fileOf = id => FILES[id] || '00_starting_ruler_traits.txt';
+
+test('default buckets split paragon traits by cost', () => {
+    const groups = new LeaderTraitsBuilder().build(TRAITS, fileOf);
+
+    assert.deepStrictEqual(Object.keys(groups.basegame_leader_traits), ['leader_trait_charismatic', 'leader_trait_abrasive']);
+    assert.deepStrictEqual(Object.keys(groups.basegame_paragon_traits), ['leader_trait_paragon_good']);
+    assert.deepStrictEqual(Object.keys(groups.basegame_bad_paragon_traits), ['leader_trait_paragon_bad']);
+    assert.deepStrictEqual(groups.basegame_leader_traits.leader_trait_abrasive.no.traits, ['leader_trait_charismatic']);
+    assert.strictEqual(groups.basegame_leader_traits.leader_trait_charismatic.tier, null);
+    assert.strictEqual(groups.basegame_leader_traits.leader_trait_charismatic.next_tier, null);
+});
+
+test('buckets from the overrides JSON', () => {
+    const buckets = LeaderTraitsBuilder.parseBuckets(JSON.stringify({
+        overrides         : [],
+        leaderTraitBuckets: [{group: 'negative_traits', maxCost: -1}, {group: 'paragon_traits', file: '10_paragon_traits.txt'}],
+    }));
+    const groups = new LeaderTraitsBuilder(buckets).build(TRAITS, fileOf);
+
+    assert.deepStrictEqual(Object.keys(groups), ['negative_traits', 'paragon_traits']);
+    assert.deepStrictEqual(Object.keys(groups.negative_traits), ['leader_trait_abrasive']);
+    assert.deepStrictEqual(Object.keys(groups.paragon_traits), ['leader_trait_paragon_good', 'leader_trait_paragon_bad']);
+});
+
+test('overrides JSON without buckets keeps the defaults', () => {
+    assert.strictEqual(LeaderTraitsBuilder.parseBuckets('{"overrides": []}'), null);
+    assert.strictEqual(LeaderTraitsBuilder.parseBuckets([]), null);
+});
+
+test('buckets with an unknown or mistyped field throw', () => {
+    const validate = bucket => () => LeaderTraitsBuilder.validateBuckets([bucket]);
+
+    assert.throws(() => LeaderTraitsBuilder.validateBuckets({group: 'x'}), /must be a list/);
+    assert.throws(validate('x'), /must be an object/);
+    assert.throws(validate({file: 'a.txt'}), /group must be a name/);
+    assert.throws(validate({group: 'not a name'}), /group must be a name/);
+    assert.throws(validate({group: 'x', minCost: '1'}), /minCost must be a number/);
+    assert.throws(validate({group: 'x', maxCost: null}), /maxCost must be a number/);
+    assert.throws(validate({group: 'x', initialOnly: 'yes'}), /initialOnly must be a boolean/);
+    assert.throws(validate({group: 'x', file: 10}), /file must be a string/);
+    assert.throws(validate({group: 'x', min_cost: 1}), /unknown field 'min_cost'/);
+    assert.deepStrictEqual(LeaderTraitsBuilder.validateBuckets(LeaderTraitsBuilder.BUCKETS), LeaderTraitsBuilder.BUCKETS);
+});
+
+test('tiered traits get their tier and the next one', () => {
+    const traits = new ParadoxParser().parse(`
+        leader_trait_gifted = { cost = 1 starting_ruler_trait = yes }
+        leader_trait_gifted_2 = { cost = 2 starting_ruler_trait = yes replace_traits = { leader_trait_gifted } }
+        leader_trait_gifted_3 = { cost = 3 replace_traits = { leader_trait_gifted_2 } }
+        leader_trait_ranked = { cost = 1 starting_ruler_trait = yes tier = 2 }
+    `);
+    const {basegame_leader_traits: defs} = new LeaderTraitsBuilder().build(traits, fileOf);
+
+    assert.deepStrictEqual(Object.keys(defs), ['leader_trait_gifted', 'leader_trait_gifted_2', 'leader_trait_ranked']);
+    assert.deepStrictEqual([defs.leader_trait_gifted.tier, defs.leader_trait_gifted.next_tier], [1, 'leader_trait_gifted_2']);
+    assert.deepStrictEqual([defs.leader_trait_gifted_2.tier, defs.leader_trait_gifted_2.next_tier], [2, 'leader_trait_gifted_3']);
+    assert.deepStrictEqual([defs.leader_trait_ranked.tier, defs.leader_trait_ranked.next_tier], [2, null]);
+});
@@ -0,0 +1,63 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const LocalisationParser = require('../lib/localisationParser.js');
+
+const FILE = `﻿l_english:
+ civic_a:0 "§YBeacon§! of $civic_b$"
+ civic_b:0 "Liberty"
+ civic_c:0 "Hello $NAME$ and $NAME|Y$"
+ civic_d:0 "$civic_e$"
+ civic_e:0 "loop $civic_d$"
+`;
+
+const localisation = () => {
+    const parser = new LocalisationParser();
+    parser.add(FILE, false, 'localisation/english/civics_l_english.yml');
+    return parser;
+};
+
+test('references are resolved and formatting stripped', () => {
+    const parser = localisation();
+
+    assert.strictEqual(parser.text('civic_a'), 'Beacon of Liberty');
+    assert.deepStrictEqual(parser.diagnostics, []);
+});
+
+test('unknown references are left in place and reported once', () => {
+    const parser = localisation();
+
+    assert.strictEqual(parser.text('civic_c'), 'Hello $NAME$ and $NAME|Y$');
+    parser.text('civic_c');
+    assert.deepStrictEqual(parser.diagnostics.map(d => [d.message, d.file, d.line]), [
+        ["Localisation key 'civic_c' references unknown key 'NAME'", 'localisation/english/civics_l_english.yml', 4],
+    ]);
+});
+
+test('cyclic references are left in place and reported', () => {
+    const parser = localisation();
+
+    assert.strictEqual(parser.text('civic_d'), 'loop $civic_d$');
+    assert.strictEqual(parser.diagnostics.length, 1);
+    assert.strictEqual(parser.diagnostics[0].severity, 'warning');
+    assert.match(parser.diagnostics[0].message, /'civic_e' references 'civic_d', which references it back/);
+});
+
+test('comments after an entry are left out, quotes in the text are kept', () => {
+    const parser = new LocalisationParser();
+    const parsed = parser.parse(`l_english:
+ civic_a:0 "Name" # "old name"
+ civic_b:0 "Say "hi" to #5" # was "Hi"
+ civic_c:0 "Escaped \\" # quote"
+ civic_d: "No version"#comment
+ civic_e:0 "Unclosed
+`);
+
+    assert.deepStrictEqual(parsed, {
+        civic_a: 'Name',
+        civic_b: 'Say "hi" to #5',
+        civic_c: 'Escaped " # quote',
+        civic_d: 'No version',
+    });
+});
@@ -0,0 +1,86 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+const ParadoxParser = require('../lib/definitionParser.js');
+const ParadoxAst    = require('../lib/paradoxAst.js');
+
+const CIVIC = `
+civic_example = {
+    cost = 2
+    potential = { ethics = { NOT = { value = ethic_gestalt_consciousness } } }
+    possible = {
+        ethics = { OR = { value = ethic_militarist value = ethic_fanatic_militarist } }
+        host_has_dlc = "Megacorp"
+        num_owned_planets >= 5
+        num_pops < 100
+        is_gestalt != yes
+    }
+    tags = { GESTALT MEGACORP }
+    modifier = { country_unity_produces_mult = 0.1 }
+    modifier = { country_influence_produces_add = 1 }
+}
+`;
+
+const civic = () => ParadoxAst.first(new ParadoxParser().parseAst(CIVIC), 'civic_example').value;
+
+// key, operator and value of entries, blocks left out
+const summary = entries => entries.map(entry => [entry.key, entry.operator, ParadoxAst.isBlock(entry.value) ? '{}' : entry.value]);
+
+test('entries keep the order of the file', () => {
+    assert.deepStrictEqual(civic().map(entry => entry.key), ['cost', 'potential', 'possible', 'tags', 'modifier', 'modifier']);
+    assert.deepStrictEqual(civic()[0].location, {file: null, line: 3, column: 5});
+});
+
+test('repeated keys stay separate entries', () => {
+    const modifiers = ParadoxAst.all(civic(), 'modifier');
+
+    assert.strictEqual(modifiers.length, 2);
+    assert.deepStrictEqual(summary(modifiers[0].value), [['country_unity_produces_mult', '=', 0.1]]);
+    assert.deepStrictEqual(summary(modifiers[1].value), [['country_influence_produces_add', '=', 1]]);
+});
+
+test('comparison operators are kept', () => {
+    const possible = ParadoxAst.value(civic(), 'possible');
+
+    assert.deepStrictEqual(summary(possible).slice(1), [
+        ['host_has_dlc', '=', 'Megacorp'],
+        ['num_owned_planets', '>=', 5],
+        ['num_pops', '<', 100],
+        ['is_gestalt', '!=', true],
+    ]);
+    assert.deepStrictEqual(summary(new ParadoxParser().parseAst('x <= 3')), [['x', '<=', 3]]);
+});
+
+test('all, first and value', () => {
+    const block = civic();
+    assert.strictEqual(ParadoxAst.all(block, 'missing').length, 0);
+    assert.strictEqual(ParadoxAst.first(block, 'modifier'), ParadoxAst.all(block, 'modifier')[0]);
+    assert.strictEqual(ParadoxAst.first(block, 'missing'), null);
+    assert.strictEqual(ParadoxAst.value(block, 'cost'), 2);
+    assert.strictEqual(ParadoxAst.value(civic(), 'missing', 0), 0);
+    assert.deepStrictEqual(ParadoxAst.all('not a block', 'cost'), []);
+});
+
+test('items are the bare entries of a block', () => {
+    assert.deepStrictEqual(ParadoxAst.items(ParadoxAst.value(civic(), 'tags')), ['GESTALT', 'MEGACORP']);
+    assert.deepStrictEqual(ParadoxAst.items(civic()), []);
+});
+
+test('get follows a path through every repeated key', () => {
+    const values = ParadoxAst.get(civic(), 'possible/ethics/OR/value');
+
+    assert.deepStrictEqual(values.map(entry => entry.value), ['ethic_militarist', 'ethic_fanatic_militarist']);
+    assert.deepStrictEqual(summary(ParadoxAst.get(civic(), ['modifier'])).map(([key]) => key), ['modifier', 'modifier']);
+    assert.deepStrictEqual(ParadoxAst.get(civic(), 'cost/value'), []);
+});
+
+test('findAll and find search at any depth, in file order', () => {
+    const values = ParadoxAst.findAll(civic(), 'value').map(entry => entry.value);
+    const ops    = ParadoxAst.findAll(civic(), entry => entry.operator !== null && entry.operator !== '=');
+
+    assert.deepStrictEqual(values, ['ethic_gestalt_consciousness', 'ethic_militarist', 'ethic_fanatic_militarist']);
+    assert.deepStrictEqual(ops.map(entry => entry.key), ['num_owned_planets', 'num_pops', 'is_gestalt']);
+    assert.strictEqual(ParadoxAst.find(civic(), 'host_has_dlc').value, 'Megacorp');
+    assert.strictEqual(ParadoxAst.find(civic(), 'missing'), null);
+});
@@ -0,0 +1,67 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+global.ParadoxParser = require('../lib/definitionParser.js');
+const ParadoxWriter  = require('../lib/paradoxWriter.js');
+
+// Parse, write and parse again
+const roundTrip = (script) => {
+    const data    = new ParadoxParser().parse(script);
+    const written = new ParadoxWriter().write(data);
+    return {data, written, again: new ParadoxParser().parse(written)};
+};
+
+test('nested blocks, lists and comparisons read back the same', () => {
+    const {data, again} = roundTrip(`
+        civic_example = {
+            potential = { ethics = { NOT = { value = ethic_gestalt_consciousness } } }
+            possible = { civics = { OR = { value = civic_a value = civic_b } } }
+            tags = { GESTALT MEGACORP }
+            modifier = { factor = 0.5 years_passed > 50 }
+            cost = -2.5
+            playable = yes
+        }
+        other = 3
+    `);
+
+    assert.deepStrictEqual(again, data);
+});
+
+test('repeated keys are written as repeated keys', () => {
+    const {data, written, again} = roundTrip('trait_x = { opposites = trait_a opposites = trait_b }');
+
+    assert.deepStrictEqual(data.trait_x.opposites, ['trait_a', 'trait_b']);
+    assert.match(written, /opposites = trait_a\s+opposites = trait_b/);
+    assert.deepStrictEqual(again, data);
+});
+
+test('strings that would read back as something else are quoted', () => {
+    const {data, again} = roundTrip('x = { a = "yes" b = "5" c = "two words" d = "@cost" e = "" f = "a=b" }');
+
+    assert.deepStrictEqual(data.x, {a: 'yes', b: '5', c: 'two words', d: '@cost', e: '', f: 'a=b'});
+    assert.deepStrictEqual(again, data);
+});
+
+test('escaped quotes and backslashes are written as read', () => {
+    const {data, again} = roundTrip('x = { a = "say \\"hi\\"" b = "C:\\\\path\\\\" }');
+
+    assert.deepStrictEqual(data.x, {a: 'say \\"hi\\"', b: 'C:\\\\path\\\\'});
+    assert.deepStrictEqual(again, data);
+});
+
+test('strings that can\'t be read back throw', () => {
+    const writer = new ParadoxWriter();
+
+    assert.throws(() => writer.write({x: {a: 'say "hi"'}}), /Can't write/);
+    assert.throws(() => writer.write({x: {a: 'trailing \\'}}), /Can't write/);
+    assert.doesNotThrow(() => writer.write({x: {a: 'say \\"hi\\"'}}));
+});
+
+test('an items key reads back as a key', () => {
+    const {data, written, again} = roundTrip('x = { items = { a b } }\ny = { c = 1 d }');
+
+    assert.match(written, /items = \{ a b \}/);
+    assert.deepStrictEqual(again, data);
+    assert.deepStrictEqual(again.y.items, ['d']);
+});
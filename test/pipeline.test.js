@@ -0,0 +1,65 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+global.JSZip                = require('../jszip.min.js');
+global.GameFiles            = require('../lib/gameFiles.js');
+global.ParadoxParser        = require('../lib/definitionParser.js');
+global.EthicsBuilder        = require('../lib/ethicsBuilder.js');
+global.ConditionTreeBuilder = require('../lib/conditionTreeBuilder.js');
+global.CivicsBuilder        = require('../lib/civicsBuilder.js');
+global.AuthoritiesBuilder   = require('../lib/authoritiesBuilder.js');
+global.OriginsBuilder       = require('../lib/originsBuilder.js');
+global.TraitsBuilder        = require('../lib/traitsBuilder.js');
+global.LeaderTraitsBuilder  = require('../lib/leaderTraitsBuilder.js');
+global.LocalisationParser   = require('../lib/localisationParser.js');
+global.DefinitionOverrides  = require('../lib/definitionOverrides.js');
+global.ScriptedTriggers     = require('../lib/scriptedTriggers.js');
+
+const DefinitionsPipeline = require('../lib/pipeline.js');
+
+// Run the pipeline on a game made of the given files
+const run = async (texts, options = {}) => {
+    const zip = new JSZip();
+    for (const [path, text] of Object.entries(texts)) zip.file(path, text);
+    const files = new GameFiles();
+    files.addArchive(zip, 'game');
+    return new DefinitionsPipeline(files, options).run();
+};
+
+test('alternative DLC need only one of them owned', async () => {
+    const {authorities} = await run({
+        'common/governments/authorities/00_authorities.txt': `
+            auth_imperial = { playable = { OR = { host_has_dlc = "Utopia" host_has_dlc = "Megacorp" } } }
+            auth_corporate = { playable = { host_has_dlc = "Utopia" host_has_dlc = "Megacorp" } }
+        `
+    }, {ownedDlcs: ['Megacorp']});
+
+    const auths = authorities.basegame_authorities;
+    assert.deepStrictEqual(auths.auth_imperial.dlc, [['Utopia', 'Megacorp']]);
+    assert.ok(!('auth_corporate' in auths));
+});
+
+test('render() writes each format', () => {
+    const civics      = {basegame_civics: {civic_a: {cost: 1}}, disabled_civics: ['civic_a']};
+    const definitions = {ethics: {}, authorities: {}, civics, origins: {}, traits: {}, localisation: {}};
+    const render      = format => Object.entries(DefinitionsPipeline.render(definitions, format))
+        .find(([filename]) => filename.startsWith('civics.'));
+    const json        = '{\n  "civic_a": {\n    "cost": 1\n  }\n}';
+
+    assert.deepStrictEqual(render('script'), ['civics.js', `basegame_civics = ${json}\n\ndisabled_civics = [\n  "civic_a"\n]`]);
+    assert.deepStrictEqual(render('esm'), ['civics.mjs', `export const basegame_civics = ${json};\n\nexport const disabled_civics = [\n  "civic_a"\n];`]);
+    assert.deepStrictEqual(render('cjs'), ['civics.cjs', `exports.basegame_civics = ${json};\n\nexports.disabled_civics = [\n  "civic_a"\n];`]);
+    assert.deepStrictEqual(JSON.parse(render('json')[1]), civics);
+    assert.strictEqual(render('json')[0], 'civics.json');
+
+    const declarations = (prefix) => [
+        `${prefix}type CivicId =`, '    | "civic_a"', '    ;', '',
+        `${prefix}declare const basegame_civics: Record<CivicId, {`, '    cost: number;', '}>;', '',
+        `${prefix}declare const disabled_civics: CivicId[];`, '',
+    ].join('\n');
+    assert.deepStrictEqual(render('dts'), ['civics.d.mts', declarations('export ')]);
+    assert.deepStrictEqual(render('dts-cjs'), ['civics.d.cts', declarations('export ')]);
+    assert.deepStrictEqual(render('dts-script'), ['civics.d.ts', declarations('')]);
+    assert.throws(() => DefinitionsPipeline.render(definitions, 'xml'), /Unknown output format/);
+});
@@ -0,0 +1,85 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+global.ParadoxParser        = require('../lib/definitionParser.js');
+global.ConditionTreeBuilder = require('../lib/conditionTreeBuilder.js');
+global.ScriptedTriggers     = require('../lib/scriptedTriggers.js');
+
+const TRIGGERS = `
+is_hive_empire = { has_authority = auth_hive_mind }
+is_regular_empire = {
+    NOT = { has_ethic = ethic_gestalt_consciousness }
+    NOT = { has_authority = auth_corporate }
+}
+is_gestalt = {
+    OR = {
+        has_ethic = ethic_gestalt_consciousness
+        has_authority = auth_machine_intelligence
+    }
+}
+is_machine_cult = {
+    has_authority = auth_machine_intelligence
+    has_ethic = ethic_spiritualist
+}
+`;
+
+const KEYS = {ethic: 'ethics', authority: 'authorities'};
+
+// yes/no of a potential block written in Paradox script, with the triggers expanded
+const requirements = (script) => {
+    const parser   = new ParadoxParser();
+    const triggers = new ScriptedTriggers(parser.parse(TRIGGERS));
+    const builder  = new ConditionTreeBuilder();
+    const tree     = builder.build(triggers.expand(parser.parse(`potential = { ${script} }`).potential));
+    const yes      = {ethics: [], authorities: []};
+    const no       = {ethics: [], authorities: []};
+    builder.toYesNo(tree, KEYS, yes, no);
+    return {tree, yes, no};
+};
+
+test('trigger = yes adds its requirements', () => {
+    const {yes} = requirements('is_hive_empire = yes');
+
+    assert.deepStrictEqual(yes, {ethics: [], authorities: ['auth_hive_mind']});
+});
+
+test('a negated trigger with several conditions forbids the combination only', () => {
+    const {tree, yes, no} = requirements('is_machine_cult = no');
+
+    assert.deepStrictEqual(tree, {op: 'not', arg: {op: 'and', args: [
+        {type: 'authority', id: 'auth_machine_intelligence'},
+        {type: 'ethic', id: 'ethic_spiritualist'},
+    ]}});
+    assert.deepStrictEqual(no, {ethics: [], authorities: []});
+    assert.deepStrictEqual(yes, {ethics: [], authorities: []});
+});
+
+test('a trigger with several negated conditions forbids each of them', () => {
+    const {no} = requirements('is_regular_empire = yes');
+
+    assert.deepStrictEqual(no, {ethics: ['ethic_gestalt_consciousness'], authorities: ['auth_corporate']});
+});
+
+test('a trigger with an OR across categories requires neither option', () => {
+    const {tree, yes, no} = requirements('is_gestalt = yes');
+
+    assert.strictEqual(tree.op, 'or');
+    assert.deepStrictEqual(yes, {ethics: [], authorities: []});
+    assert.deepStrictEqual(no, {ethics: [], authorities: []});
+});
+
+test('a negated trigger with an OR across categories forbids each option', () => {
+    const {no} = requirements('is_gestalt = no');
+
+    assert.deepStrictEqual(no, {ethics: ['ethic_gestalt_consciousness'], authorities: ['auth_machine_intelligence']});
+});
+
+test('a trigger with several conditions stays one option of an OR', () => {
+    const {tree} = requirements('OR = { is_machine_cult = yes is_hive_empire = yes }');
+
+    assert.deepStrictEqual(tree, {op: 'or', args: [
+        {op: 'and', args: [{type: 'authority', id: 'auth_machine_intelligence'}, {type: 'ethic', id: 'ethic_spiritualist'}]},
+        {type: 'authority', id: 'auth_hive_mind'},
+    ]});
+});
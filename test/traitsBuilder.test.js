@@ -0,0 +1,75 @@
+// Run with: node --test test/
+const test   = require('node:test');
+const assert = require('node:assert');
+
+global.ParadoxParser        = require('../lib/definitionParser.js');
+global.ConditionTreeBuilder = require('../lib/conditionTreeBuilder.js');
+const TraitsBuilder         = require('../lib/traitsBuilder.js');
+
+const build = (script) => new TraitsBuilder().build(new ParadoxParser().parse(script));
+
+test('no holds the requirements, incompatible_traits the old list of opposites when rendered', () => {
+    const traits = build(`
+        trait_a = { cost = 1 opposites = { trait_b } forbidden_origins = { origin_clone_army } }
+        trait_b = { cost = 1 }
+    `);
+
+    assert.deepStrictEqual(traits.trait_a.no, {
+        origins: ['origin_clone_army'], civics: [], ethics: [], species_archetype: [], traits: ['trait_b'],
+    });
+    assert.ok(!('incompatible_traits' in traits.trait_a));
+
+    const rendered = TraitsBuilder.withIncompatibleTraits(traits.trait_b);
+    assert.deepStrictEqual(Object.keys(rendered), ['cost', 'yes', 'no', 'incompatible_traits']);
+    assert.deepStrictEqual(rendered.incompatible_traits, ['trait_a']);
+    assert.notStrictEqual(rendered.incompatible_traits, traits.trait_b.no.traits);
+    assert.strictEqual(TraitsBuilder.withIncompatibleTraits({cost: 1}).incompatible_traits, undefined);
+});
+
+test('modifiers keeps the summary of every has_* condition, cost_modifiers the rules', () => {
+    const traits = build(`
+        trait_a = {
+            cost = {
+                base = 2
+                modifier = { add = -1 has_origin = origin_mechanists }
+                modifier = { add = 1 has_civic = civic_x NOT = { has_ethic = ethic_y } }
+                modifier = { multiply = 2 is_gestalt = yes }
+            }
+        }
+    `);
+
+    assert.deepStrictEqual(traits.trait_a.modifiers, {origin_mechanists: -1, civic_x: 1});
+    assert.strictEqual(traits.trait_a.cost_modifiers.length, 3);
+    assert.strictEqual(new TraitsBuilder().effectiveCost(traits.trait_a, {origin: 'origin_mechanists'}), 1);
+});
+
+test('effectiveCost() derives the kind of empire from its authority, ethics and civics', () => {
+    const traits  = build(`
+        trait_a = {
+            cost = {
+                base = 2
+                modifier = { add = 1 is_gestalt = yes }
+                modifier = { add = 2 is_machine_empire = yes }
+                modifier = { add = 4 is_hive_empire = yes }
+                modifier = { add = 8 is_megacorp = yes }
+                modifier = { add = 16 is_megacorp = no is_gestalt = no }
+            }
+        }
+    `);
+    const builder = new TraitsBuilder();
+    const cost    = empire => builder.effectiveCost(traits.trait_a, empire);
+
+    assert.strictEqual(cost({authority: 'auth_democratic'}), 18);
+    assert.strictEqual(cost({authority: 'auth_machine_intelligence'}), 5);
+    assert.strictEqual(cost({authority: 'auth_hive_mind', ethics: ['ethic_gestalt_consciousness']}), 7);
+    assert.strictEqual(cost({authority: 'auth_corporate'}), 10);
+    assert.strictEqual(cost({authority: 'auth_imperial', civics: ['civic_galactic_sovereign_megacorp']}), 10);
+});
+
+test('effectiveCost() reports the conditions it can not check', () => {
+    const traits    = build('trait_a = { cost = { base = 1 modifier = { add = 1 has_country_flag = flag_x is_gestalt = no } } }');
+    const unchecked = new Set();
+
+    assert.strictEqual(new TraitsBuilder().effectiveCost(traits.trait_a, {}, unchecked), 1);
+    assert.deepStrictEqual([...unchecked], ['has_country_flag']);
+});